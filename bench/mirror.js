@@ -0,0 +1,27 @@
+// Times operations on a long history in which every map is mirrored,
+// as an undo history does. With a linear mirror lookup these are
+// quadratic in the number of maps.
+
+const {StepMap, Mapping} = require("..")
+
+const size = 20000
+
+function history() {
+  let mapping = new Mapping
+  for (let i = 0; i < size / 2; i++) {
+    let map = new StepMap([i % 50, 0, 1])
+    mapping.appendMap(map)
+    mapping.appendMap(map.invert(), mapping.maps.length - 1)
+  }
+  return mapping
+}
+
+function time(name, f) {
+  let source = history(), start = Date.now()
+  f(source)
+  console.log(name + ": " + (Date.now() - start) + "ms")
+}
+
+time("appendMapping", source => new Mapping().appendMapping(source))
+time("invert", source => source.invert())
+time("getMirror", source => { for (let i = 0; i < size; i++) source.getMirror(i) })
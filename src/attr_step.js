@@ -0,0 +1,114 @@
+import {Fragment, Slice} from "prosemirror-model"
+
+import {Step, StepResult} from "./step"
+import {StepMap} from "./map"
+
+// ::- Update an attribute in a specific node.
+//
+// @cn 更新一个特定节点的某个 attribute。
+export class AttrStep extends Step {
+  // :: (number, string, any)
+  // Construct an attribute step.
+  //
+  // @cn 构造一个 attribute step。
+  constructor(pos, attr, value) {
+    super()
+    // :: number
+    // The position of the target node.
+    this.pos = pos
+    // :: string
+    // The attribute to set.
+    this.attr = attr
+    // :: any
+    // The attribute's new value.
+    this.value = value
+  }
+
+  apply(doc) {
+    let node = doc.nodeAt(this.pos)
+    if (!node) return StepResult.fail("No node at attribute step's position", "noNode",
+                                      {step: this, from: this.pos, to: this.pos})
+    let attrs = Object.create(null)
+    for (let name in node.attrs) attrs[name] = node.attrs[name]
+    attrs[this.attr] = this.value
+    let updated = node.type.create(attrs, null, node.marks)
+    return StepResult.fromReplace(doc, this.pos, this.pos + 1,
+                                  new Slice(Fragment.from(updated), 0, node.isLeaf ? 0 : 1), this)
+  }
+
+  getMap() {
+    return StepMap.empty
+  }
+
+  invert(doc) {
+    return new AttrStep(this.pos, this.attr, doc.nodeAt(this.pos).attrs[this.attr])
+  }
+
+  map(mapping) {
+    let pos = mapping.mapResult(this.pos, 1)
+    return pos.deletedAfter ? null : new AttrStep(pos.pos, this.attr, this.value)
+  }
+
+  toJSON() {
+    return {stepType: "attr", pos: this.pos, attr: this.attr, value: this.value}
+  }
+
+  static fromJSON(schema, json) {
+    if (typeof json.pos != "number" || typeof json.attr != "string")
+      throw new RangeError("Invalid input for AttrStep.fromJSON")
+    return new AttrStep(json.pos, json.attr, json.value)
+  }
+}
+
+Step.jsonID("attr", AttrStep)
+
+// ::- Update an attribute in the doc node.
+//
+// @cn 更新文档根节点的某个 attribute。
+export class DocAttrStep extends Step {
+  // :: (string, any)
+  // Construct a doc attribute step.
+  //
+  // @cn 构造一个文档 attribute step。
+  constructor(attr, value) {
+    super()
+    // :: string
+    // The attribute to set.
+    this.attr = attr
+    // :: any
+    // The attribute's new value.
+    this.value = value
+  }
+
+  apply(doc) {
+    let attrs = Object.create(null)
+    for (let name in doc.attrs) attrs[name] = doc.attrs[name]
+    attrs[this.attr] = this.value
+    let updated = doc.type.create(attrs, doc.content, doc.marks)
+    return StepResult.ok(updated)
+  }
+
+  getMap() {
+    return StepMap.empty
+  }
+
+  invert(doc) {
+    return new DocAttrStep(this.attr, doc.attrs[this.attr])
+  }
+
+  map(_mapping) {
+    return this
+  }
+
+  toJSON() {
+    return {stepType: "docAttr", attr: this.attr, value: this.value}
+  }
+
+  static fromJSON(schema, json) {
+    if (typeof json.attr != "string")
+      throw new RangeError("Invalid input for DocAttrStep.fromJSON")
+    return new DocAttrStep(json.attr, json.value)
+  }
+}
+
+Step.jsonID("docAttr", DocAttrStep)
@@ -0,0 +1,93 @@
+import {Transform} from "./transform"
+import {AddMarkStep, RemoveMarkStep, AddNodeMarkStep, RemoveNodeMarkStep, UpdateMarkStep} from "./mark_step"
+import {AttrStep} from "./attr_step"
+
+// ChangedRange:: interface
+// A range of the document that was changed by a transform.
+//
+// @cn 文档中被一个 transform 修改了的 range。
+//
+//   fromA:: number
+//   The start of the range in the starting document.
+//
+//   @cn 该 range 在起始文档中的起始位置。
+//
+//   toA:: number
+//   The end of the range in the starting document.
+//
+//   @cn 该 range 在起始文档中的结束位置。
+//
+//   fromB:: number
+//   The start of the range in the current document.
+//
+//   @cn 该 range 在当前文档中的起始位置。
+//
+//   toB:: number
+//   The end of the range in the current document.
+//
+//   @cn 该 range 在当前文档中的结束位置。
+
+// :: () → [ChangedRange]
+// Compute the ranges of the current document that were changed by
+// this transform, along with the ranges of the starting document that
+// they replace. The result is sorted and holds no overlapping or
+// adjacent ranges. Steps that don't change positions but do change
+// content, such as [mark steps](#transform.AddMarkStep) and
+// [attribute steps](#transform.AttrStep), contribute the range they
+// touch (with equal size on both sides).
+//
+// @cn 计算当前文档中被该 transform 修改了的 ranges，以及它们所替换的起始文档中的 ranges。返回的结果是有序的，并且不包含重叠或者相邻的
+// ranges。那些不改变位置但是改变了内容的 steps，比如 [mark steps](#transform.AddMarkStep) 和 [attribute steps](#transform.AttrStep)，
+// 会贡献它们所涉及的 range（两边的大小相同）。
+Transform.prototype.changedRanges = function() {
+  let changes = []
+  for (let i = 0; i < this.steps.length; i++) {
+    let step = this.steps[i], map = this.mapping.maps[i], found = false
+    map.forEach((oldStart, oldEnd, newStart, newEnd) => {
+      found = true
+      addChange(changes, newStart, newStart + (oldEnd - oldStart), newEnd - newStart)
+    })
+    if (!found) {
+      let range = touchedRange(step, this.docs[i])
+      if (range) addChange(changes, range.from, range.to, range.to - range.from)
+    }
+  }
+  return changes
+}
+
+// The range of content changed by a step that doesn't map positions.
+function touchedRange(step, doc) {
+  if (step instanceof AddMarkStep || step instanceof RemoveMarkStep || step instanceof UpdateMarkStep)
+    return step.from < step.to ? {from: step.from, to: step.to} : null
+  if (step instanceof AddNodeMarkStep || step instanceof RemoveNodeMarkStep || step instanceof AttrStep) {
+    let node = doc.nodeAt(step.pos)
+    return node ? {from: step.pos, to: step.pos + node.nodeSize} : null
+  }
+  return null
+}
+
+// Record that the range `from`-`to` in the current document was
+// replaced by content of size `size`, merging the change with
+// existing changes that it overlaps or touches.
+function addChange(changes, from, to, size) {
+  if (from == to && !size) return
+  let i = 0, delta = 0
+  for (; i < changes.length && changes[i].toB < from; i++)
+    delta += (changes[i].toB - changes[i].fromB) - (changes[i].toA - changes[i].fromA)
+  let fromA = from - delta, fromB = from
+  let end = i
+  for (; end < changes.length && changes[end].fromB <= to; end++)
+    delta += (changes[end].toB - changes[end].fromB) - (changes[end].toA - changes[end].fromA)
+  let toA = to - delta, toB = to
+  if (end > i) {
+    let first = changes[i], last = changes[end - 1]
+    if (first.fromB < fromB) { fromB = first.fromB; fromA = first.fromA }
+    if (last.toB > toB) { toB = last.toB; toA = last.toA }
+  }
+  let shift = size - (to - from)
+  for (let j = end; j < changes.length; j++) {
+    let change = changes[j]
+    changes[j] = {fromA: change.fromA, toA: change.toA, fromB: change.fromB + shift, toB: change.toB + shift}
+  }
+  changes.splice(i, end - i, {fromA, toA, fromB, toB: toB + shift})
+}
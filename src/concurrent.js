@@ -0,0 +1,295 @@
+import {Fragment, Slice} from "prosemirror-model"
+
+import {ReplaceStep} from "./replace_step"
+import {AddMarkStep, RemoveMarkStep, AddNodeMarkStep, RemoveNodeMarkStep, UpdateMarkStep} from "./mark_step"
+import {AttrStep, DocAttrStep} from "./attr_step"
+
+// :: (Step, Step, ?Node) → [[Step], [Step]]
+// Given two steps `a` and `b` that were applied concurrently to the
+// same document, compute the steps `a'` that should be applied after
+// `b` and the steps `b'` that should be applied after `a`, so that
+// both orders produce the same document. Each side is returned as an
+// array of zero or more steps (a step may be split in two, or dropped
+// entirely when the content it applies to was deleted by the other
+// step).
+//
+// @cn 给定两个被并发应用到同一个文档上的 step `a` 和 `b`，计算出应该在 `b` 之后应用的 steps `a'` 和应该在 `a`
+// 之后应用的 steps `b'`，以使两种应用顺序产生相同的文档。每一边都以一个包含零个或多个 step 的数组的形式返回（一个 step
+// 可能被分成两个，或者当它作用的内容被另一个 step 删除的时候被整个丢弃）。
+//
+// Where the steps conflict, `a` takes precedence: content inserted
+// by both steps at the same position (including replacements of
+// ranges that start at the same position) puts `a`'s content first,
+// when both steps set conflicting marks on the same content, or the
+// same attribute of the same node (or of the document), `a`'s value
+// wins, and where a [mark update](#transform.UpdateMarkStep)
+// overlaps an addition or removal of a mark of the same type, the
+// step that comes first decides whether the content ends up with
+// the mark (with the updated attributes) or without it. Overlapping
+// replace steps each keep the part of their range the other one
+// didn't cover. Content inserted by a replace step inside a range
+// that the other step adds, removes, or updates a mark in gets the
+// same treatment.
+//
+// @cn 当 steps 冲突的时候，`a` 优先：两个 step 在同一个位置插入的内容（包括替换起始于同一个位置的 ranges）会将 `a` 的内容放在前面，
+// 当两个 step 在同一内容上设置相互冲突的 marks，或者设置同一个节点（或者文档）的同一个 attribute 的时候，`a` 的值胜出，
+// 当一个 [mark 更新](#transform.UpdateMarkStep) 与一个对同类型 mark 的添加或者移除重叠的时候，由在前面的那个 step 来决定内容最终是带有该
+// mark（带有更新后的 attributes）还是不带有它。相互重叠的 replace step 各自保留其 range 中未被另一个 step 覆盖的部分。
+// 一个 replace step 插入到另一个 step 添加、移除或者更新 mark 的 range 中的内容也会受到同样的处理。
+//
+// These rules cover [`ReplaceStep`](#transform.ReplaceStep)s with
+// closed slices, the mark steps, [`AttrStep`](#transform.AttrStep),
+// and [`DocAttrStep`](#transform.DocAttrStep). For other steps,
+// such as [`ReplaceAroundStep`](#transform.ReplaceAroundStep), and
+// for node mark steps that overlap an inline mark step with a
+// conflicting mark, the document both steps were applied to must be
+// passed as `doc`. The steps are then [mapped](#transform.Step.map)
+// through each other when the results apply and converge on that
+// document. When they don't, `a` wins by undoing `b`: `a'` becomes
+// `b`'s inverse followed by `a`, and `b'` is empty. Without `doc`,
+// such steps raise a `RangeError`.
+//
+// @cn 这些规则涵盖了 slice 闭合的 [`ReplaceStep`](#transform.ReplaceStep)、mark steps、[`AttrStep`](#transform.AttrStep)
+// 以及 [`DocAttrStep`](#transform.DocAttrStep)。对于其他的 step，比如 [`ReplaceAroundStep`](#transform.ReplaceAroundStep)，
+// 以及与一个带有冲突 mark 的内联 mark step 重叠的节点 mark step，必须将两个 step 所应用的文档作为 `doc` 传入。
+// 这时如果这些 steps 通过对方 [map](#transform.Step.map) 之后能够在该文档上被应用并且收敛，就使用 map 的结果。否则 `a` 会通过撤销 `b`
+// 来胜出：`a'` 变成 `b` 的反转 step 后面跟着 `a`，而 `b'` 为空。如果没有 `doc`，这些 step 会抛出一个 `RangeError`。
+export function transformSteps(a, b, doc) {
+  let result = transformByRule(a, b)
+  if (result) return result
+  if (!doc) throw new RangeError("Transforming " + a.constructor.name + " and " + b.constructor.name +
+                                 " requires the document they apply to")
+  return transformChecked(a, b, doc)
+}
+
+// Transform steps for which there is a specific rule, returning null
+// for other combinations.
+function transformByRule(a, b) {
+  if (!hasRule(a) || !hasRule(b)) return null
+  if (a instanceof ReplaceStep && b instanceof ReplaceStep)
+    return [mapReplace(a, b, true), mapReplace(b, a, false)]
+  if (a instanceof ReplaceStep && isMarkStep(b)) {
+    let [replace, mark] = replaceAndMark(a, b)
+    return [maybe(replace), maybe(mark)]
+  }
+  if (isMarkStep(a) && b instanceof ReplaceStep) {
+    let [replace, mark] = replaceAndMark(b, a)
+    return [maybe(mark), maybe(replace)]
+  }
+  if (isMarkStep(a) && isMarkStep(b)) return transformMarks(a, b)
+  if (a instanceof AttrStep && b instanceof AttrStep && a.pos == b.pos && a.attr == b.attr ||
+      a instanceof DocAttrStep && b instanceof DocAttrStep && a.attr == b.attr)
+    return [[a], []]
+  if (isNodeMarkStep(a) && isNodeMarkStep(b) && a.pos == b.pos &&
+      marksConflict(a.mark, a instanceof AddNodeMarkStep, b.mark, b instanceof AddNodeMarkStep))
+    return [[a], []]
+  // Node mark steps on an inline node conflict with inline mark steps
+  // covering it, but whether the node is inline can't be told without
+  // the document
+  if (isNodeMarkStep(a) && isMarkStep(b) && nodeAndInlineMarksConflict(a, b) ||
+      isMarkStep(a) && isNodeMarkStep(b) && nodeAndInlineMarksConflict(b, a))
+    return null
+  return [maybe(a.map(b.getMap())), maybe(b.map(a.getMap()))]
+}
+
+function hasRule(step) {
+  return step instanceof ReplaceStep ? !step.slice.openStart && !step.slice.openEnd
+    : isMarkStep(step) || isNodeMarkStep(step) || step instanceof AttrStep || step instanceof DocAttrStep
+}
+
+// Map the steps through each other, checking the result against the
+// document, and fall back to undoing `b` when they don't converge.
+function transformChecked(a, b, doc) {
+  let afterA = a.apply(doc), afterB = b.apply(doc)
+  if (afterA.failed || afterB.failed) throw new RangeError("Steps don't apply to the given document")
+  let a1 = maybe(a.map(b.getMap())), b1 = maybe(b.map(a.getMap()))
+  let ab = applyAll(afterA.doc, b1), ba = applyAll(afterB.doc, a1)
+  if (ab && ba && ab.eq(ba)) return [a1, b1]
+  return [[b.invert(doc), a], []]
+}
+
+function applyAll(doc, steps) {
+  for (let i = 0; doc && i < steps.length; i++) {
+    let result = steps[i].apply(doc)
+    doc = result.failed ? null : result.doc
+  }
+  return doc
+}
+
+function maybe(step) { return step ? [step] : [] }
+
+function isMarkStep(step) {
+  return step instanceof AddMarkStep || step instanceof RemoveMarkStep || step instanceof UpdateMarkStep
+}
+
+function isNodeMarkStep(step) {
+  return step instanceof AddNodeMarkStep || step instanceof RemoveNodeMarkStep
+}
+
+function nodeAndInlineMarksConflict(node, inline) {
+  if (node.pos < inline.from || node.pos >= inline.to) return false
+  if (inline instanceof UpdateMarkStep) return node.mark.type == inline.markType
+  return marksConflict(node.mark, node instanceof AddNodeMarkStep, inline.mark, inline instanceof AddMarkStep)
+}
+
+// Map a replace step over another replace step, returning the
+// resulting steps. When both steps start at the same position, the
+// content of the step for which `first` is true is placed before the
+// other step's content, and neither step deletes the other's
+// content. Otherwise, a step whose range lies inside the other's
+// deleted range is dropped.
+function mapReplace(step, other, first) {
+  if (step.from == other.from) {
+    let otherEnd = other.from + other.slice.size, deleted = Math.max(0, step.to - other.to)
+    if (!first || !other.slice.size)
+      return [new ReplaceStep(otherEnd, otherEnd + deleted, step.slice, step.structure)]
+    // The remaining deletion and the insertion are separated by the
+    // other step's content, so they become two steps
+    let result = []
+    if (deleted) result.push(new ReplaceStep(otherEnd, otherEnd + deleted, Slice.empty, step.structure))
+    if (step.slice.size) result.push(new ReplaceStep(other.from, other.from, step.slice, step.structure))
+    return result
+  }
+  let map = other.getMap()
+  let from = map.mapResult(step.from, 1), to = map.mapResult(step.to, -1)
+  if (from.deleted && to.deleted) return []
+  return [new ReplaceStep(from.pos, Math.max(from.pos, to.pos), step.slice, step.structure)]
+}
+
+// Transform a replace step and a mark step against each other. The
+// mark step is mapped normally, and the part of the replace step's
+// inserted content that ends up inside the mapped mark range (or
+// update runs) gets the mark step's effect applied to it.
+function replaceAndMark(replace, mark) {
+  let markAfter = mark.map(replace.getMap())
+  let slice = replace.slice
+  if (markAfter) {
+    let ranges = markAfter instanceof UpdateMarkStep ? markAfter.runs : [markAfter], content = slice.content
+    for (let i = 0; i < ranges.length; i++) {
+      let start = Math.max(ranges[i].from, replace.from) - replace.from
+      let end = Math.min(ranges[i].to, replace.from + slice.size) - replace.from
+      if (start < end) content = mapInlineRange(content, start, end, markEffect(mark, ranges[i]), null)
+    }
+    slice = new Slice(content, slice.openStart, slice.openEnd)
+  }
+  return [new ReplaceStep(replace.from, replace.to, slice, replace.structure), markAfter]
+}
+
+// The function that applies a mark step's effect (for update steps,
+// that of the given run) to an inline node.
+function markEffect(step, run) {
+  if (step instanceof AddMarkStep)
+    return (node, parent) => !node.isAtom || parent && !parent.type.allowsMarkType(step.mark.type) ? node
+      : node.mark(step.mark.addToSet(node.marks))
+  if (step instanceof RemoveMarkStep)
+    return node => node.mark(step.mark.removeFromSet(node.marks))
+  let mark = step.markType.create(run.attrs)
+  return node => {
+    let old = step.markType.isInSet(node.marks)
+    return old ? node.mark(mark.addToSet(old.removeFromSet(node.marks))) : node
+  }
+}
+
+// Apply `f` to the inline nodes (or parts of text nodes) between
+// `from` and `to` in the given fragment.
+function mapInlineRange(fragment, from, to, f, parent) {
+  let mapped = []
+  for (let i = 0, pos = 0; i < fragment.childCount; i++) {
+    let child = fragment.child(i), end = pos + child.nodeSize
+    if (end <= from || pos >= to) {
+      mapped.push(child)
+    } else if (child.isText) {
+      let start = Math.max(from, pos) - pos, stop = Math.min(to, end) - pos
+      if (start > 0) mapped.push(child.cut(0, start))
+      mapped.push(f(child.cut(start, stop), parent))
+      if (stop < child.nodeSize) mapped.push(child.cut(stop))
+    } else {
+      if (child.content.size) child = child.copy(mapInlineRange(child.content, from - pos - 1, to - pos - 1, f, child))
+      mapped.push(child.isInline ? f(child, parent) : child)
+    }
+    pos = end
+  }
+  return Fragment.fromArray(mapped)
+}
+
+// Transform two inline mark steps against each other.
+function transformMarks(a, b) {
+  let aUpdate = a instanceof UpdateMarkStep, bUpdate = b instanceof UpdateMarkStep
+  if (!aUpdate && !bUpdate) {
+    if (a.from >= b.to || b.from >= a.to ||
+        !marksConflict(a.mark, a instanceof AddMarkStep, b.mark, b instanceof AddMarkStep))
+      return [[a], [b]]
+    // Adding a mark may have replaced marks it excludes, so when a
+    // removal wins, the addition is applied and then removed again
+    if (b instanceof AddMarkStep && a instanceof RemoveMarkStep)
+      return [[a], [b, new RemoveMarkStep(Math.max(a.from, b.from), Math.min(a.to, b.to), b.mark)]]
+    return [[a], subtractRange(b, a.from, a.to)]
+  }
+  let update = aUpdate ? a : b, other = aUpdate ? b : a
+  let overlap = overlappingRuns(update, other)
+  if (!overlap.length) return [[a], [b]]
+  // Two updates: the runs of `a` take precedence
+  if (aUpdate && bUpdate) return [[a], subtractRanges(b, overlap)]
+  // An addition wins from an update that comes after it, and an
+  // update wins from an addition after it
+  if (other instanceof AddMarkStep) return [[a], subtractRanges(b, overlap)]
+  // An update that comes first re-adds the mark (with its new
+  // attributes) where the removal took it away
+  let marks = overlap.map(run => ({from: run.from, to: run.to, mark: update.markType.create(run.attrs)}))
+  if (aUpdate) return [[a].concat(marks.map(m => new AddMarkStep(m.from, m.to, m.mark))), subtractRanges(b, overlap)]
+  // A removal that comes first removes the updated marks, whatever
+  // their attributes were
+  let remove = marks.map(m => new RemoveMarkStep(m.from, m.to, m.mark))
+  return [[a].concat(remove), [b].concat(remove)]
+}
+
+// The parts of `update`'s runs that overlap the range of `other`,
+// which is either an update of the same mark type or a mark step
+// adding or removing a mark of that type.
+function overlappingRuns(update, other) {
+  let type = other instanceof UpdateMarkStep ? other.markType : other.mark.type
+  if (type != update.markType) return []
+  let ranges = other instanceof UpdateMarkStep ? other.runs : [other], result = []
+  for (let i = 0; i < update.runs.length; i++) {
+    let run = update.runs[i]
+    for (let j = 0; j < ranges.length; j++) {
+      let from = Math.max(run.from, ranges[j].from), to = Math.min(run.to, ranges[j].to)
+      if (from < to) result.push({from, to, attrs: run.attrs})
+    }
+  }
+  return result
+}
+
+// Two marks set by mark steps on the same content conflict when
+// applying the steps in different orders gives different results.
+function marksConflict(a, adding, b, other) {
+  if (adding && other)
+    return !a.eq(b) && (a.type.excludes(b.type) || b.type.excludes(a.type))
+  if (adding != other) return a.eq(b)
+  return false
+}
+
+function subtractRange(step, from, to) {
+  if (step instanceof UpdateMarkStep) {
+    let runs = []
+    step.runs.forEach(run => {
+      if (run.from < from) runs.push({from: run.from, to: Math.min(from, run.to), attrs: run.attrs})
+      if (run.to > to) runs.push({from: Math.max(to, run.from), to: run.to, attrs: run.attrs})
+    })
+    return runs.length ? [new UpdateMarkStep(step.markType, runs)] : []
+  }
+  let result = [], Cls = step.constructor
+  if (step.from < from) result.push(new Cls(step.from, Math.min(from, step.to), step.mark))
+  if (step.to > to) result.push(new Cls(Math.max(to, step.from), step.to, step.mark))
+  return result
+}
+
+function subtractRanges(step, ranges) {
+  let steps = [step]
+  for (let i = 0; i < ranges.length; i++) {
+    let next = []
+    steps.forEach(s => next = next.concat(subtractRange(s, ranges[i].from, ranges[i].to)))
+    steps = next
+  }
+  return steps
+}
@@ -1,8 +1,14 @@
-export {Transform, TransformError} from "./transform"
+export {Transform, TransformError, Bookmark} from "./transform"
 export {Step, StepResult} from "./step"
-export {joinPoint, canJoin, canSplit, insertPoint, dropPoint, liftTarget, findWrapping} from "./structure"
+export {joinPoint, canJoin, canSplit, insertPoint, dropPoint, liftTarget, findWrapping, canUnwrap, sinkTarget} from "./structure"
 export {StepMap, MapResult, Mapping} from "./map"
-export {AddMarkStep, RemoveMarkStep} from "./mark_step"
+export {RangeSet} from "./range_set"
+export {AddMarkStep, RemoveMarkStep, AddNodeMarkStep, RemoveNodeMarkStep, UpdateMarkStep} from "./mark_step"
 export {ReplaceStep, ReplaceAroundStep} from "./replace_step"
+export {MoveStep} from "./move_step"
+export {AttrStep, DocAttrStep} from "./attr_step"
 import "./mark"
+import "./changes"
 export {replaceStep} from "./replace"
+export {transformSteps} from "./concurrent"
+export {rebaseSteps} from "./rebase"
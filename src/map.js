@@ -20,17 +20,24 @@
 //   replaced range) during the mapping. When content on only one side
 //   is deleted, the position itself is only considered deleted when
 //   `assoc` points in the direction of the deleted content.
+//   The `deletedBefore`, `deletedAfter`, `deletedAcross`, and
+//   `deletedInside` fields describe which side of the position lost
+//   content, independent of `assoc`.
 //
 //   @cn map 一个位置，然后返回一个包含关于这个 mapping 附加信息的对象。结果的 `deleted` 字段会告诉你该位置在 map 期间是否被删除（在一个 replace 的
 //   range 中完全闭合的位置，即两侧都删除），如果只有一侧被删除，则只有当 `assoc` 指向删除一侧的时候，这个位置才会被认为是删除了。
+//   `deletedBefore`、`deletedAfter`、`deletedAcross` 和 `deletedInside` 字段描述了该位置的哪一侧的内容被删除了，与 `assoc` 无关。
 
 // Recovery values encode a range index and an offset. They are
 // represented as numbers, because tons of them will be created when
 // mapping, for example, a large number of decorations. The number's
 // lower 16 bits provide the index, the remaining bits the offset.
+// Indices or offsets that don't fit in that encoding (in maps with
+// more than 65535 ranges) fall back to an `{index, offset}` object.
 //
 // @cn 恢复的值会将 range 的索引和偏移量进行编码。因为当 mapping 的时候他们会被大量的新建，因此为了方便将其表现为数字形式。
 // 例如，大量的 decorations。编码后的数字中低于 16 位的部分是索引值，其余的位表示偏移量。
+// 无法放入该编码中的索引或者偏移量（在含有超过 65535 个 range 的 map 中）会退而使用一个 `{index, offset}` 对象来表示。
 //
 // @comment 目前没搞明白这句中「恢复的值」指的是什么。
 //
@@ -44,28 +51,67 @@
 
 const lower16 = 0xffff
 const factor16 = Math.pow(2, 16)
+const maxOffset = Math.pow(2, 37)
 
-function makeRecover(index, offset) { return index + offset * factor16 }
-function recoverIndex(value) { return value & lower16 }
-function recoverOffset(value) { return (value - (value & lower16)) / factor16 }
+function makeRecover(index, offset) {
+  return index <= lower16 && offset < maxOffset ? index + offset * factor16 : {index, offset}
+}
+function recoverIndex(value) { return typeof value == "number" ? value & lower16 : value.index }
+function recoverOffset(value) {
+  return typeof value == "number" ? (value - (value & lower16)) / factor16 : value.offset
+}
+
+export const DEL_BEFORE = 1, DEL_AFTER = 2, DEL_INSIDE = 4, DEL_SIDE = 8
 
 // ::- An object representing a mapped position with extra
 // information.
 //
 // @cn 一个带有额外信息的表示一个 map 过的位置的对象。
 export class MapResult {
-  constructor(pos, deleted = false, recover = null) {
+  // : (number, ?bool, ?number, ?number)
+  // `delInfo` holds the `DEL_*` flags describing which sides of the
+  // position lost content. When not given, only `deleted` is known.
+  constructor(pos, deleted = false, recover = null, delInfo = 0) {
     // :: number The mapped version of the position.
     //
     // @cn 该位置 map 过的版本。
     this.pos = pos
-    // :: bool Tells you whether the position was deleted, that is,
-    // whether the step removed its surroundings from the document.
-    //
-    // @cn 告诉你该位置是否被删除了，也就是说，是否有 step 从文档中将该位置两侧（周围）的内容删除了。
-    this.deleted = deleted
+    this.delInfo = deleted ? delInfo | DEL_SIDE : delInfo & ~DEL_SIDE
     this.recover = recover
   }
+
+  // :: bool Tells you whether the position was deleted, that is,
+  // whether the step removed its surroundings from the document.
+  // When content on only one side was deleted, this depends on the
+  // `assoc` the position was mapped with.
+  //
+  // @cn 告诉你该位置是否被删除了，也就是说，是否有 step 从文档中将该位置两侧（周围）的内容删除了。
+  // 如果只有一侧的内容被删除，则该值取决于 map 该位置时所用的 `assoc`。
+  get deleted() { return (this.delInfo & DEL_SIDE) > 0 }
+
+  // :: bool Tells you whether the token before the mapped position
+  // was deleted, regardless of `assoc`.
+  //
+  // @cn 告诉你被 map 的位置之前的 token 是否被删除了，与 `assoc` 无关。
+  get deletedBefore() { return (this.delInfo & (DEL_BEFORE | DEL_INSIDE)) > 0 }
+
+  // :: bool Tells you whether the token after the mapped position
+  // was deleted, regardless of `assoc`.
+  //
+  // @cn 告诉你被 map 的位置之后的 token 是否被删除了，与 `assoc` 无关。
+  get deletedAfter() { return (this.delInfo & (DEL_AFTER | DEL_INSIDE)) > 0 }
+
+  // :: bool Tells you whether content on both sides of the position
+  // was deleted (possibly by different steps).
+  //
+  // @cn 告诉你该位置两侧的内容是否都被删除了（可能由不同的 step 删除）。
+  get deletedAcross() { return this.deletedBefore && this.deletedAfter }
+
+  // :: bool Tells you whether the position was strictly inside a
+  // range replaced by one of the step maps it was mapped through.
+  //
+  // @cn 告诉你该位置是否严格位于被 map 经过的某一个 step map 所替换的 range 内部。
+  get deletedInside() { return (this.delInfo & DEL_INSIDE) > 0 }
 }
 
 // :: class extends Mappable
@@ -111,7 +157,9 @@ export class StepMap {
         let result = start + diff + (side < 0 ? 0 : newSize)
         if (simple) return result
         let recover = pos == (assoc < 0 ? start : end) ? null : makeRecover(i / 3, pos - start)
-        return new MapResult(result, assoc < 0 ? pos != start : pos != end, recover)
+        let del = !oldSize ? 0 : pos == start ? DEL_AFTER : pos == end ? DEL_BEFORE : DEL_INSIDE
+        if (assoc < 0 ? pos != start : pos != end) del |= DEL_SIDE
+        return new MapResult(result, (del & DEL_SIDE) > 0, recover, del)
       }
       diff += newSize - oldSize
     }
@@ -159,6 +207,55 @@ export class StepMap {
     return (this.inverted ? "-" : "") + JSON.stringify(this.ranges)
   }
 
+  // :: () → Object
+  // Create a JSON-serializeable representation of this map.
+  //
+  // @cn 新建一个当前 map 的 JSON 序列化后的版本。
+  toJSON() {
+    let json = {ranges: this.ranges.slice()}
+    if (this.inverted) json.inverted = true
+    return json
+  }
+
+  // :: () → [number]
+  // Create a compact JSON representation of this map, which is just
+  // its array of ranges, with an extra `1` appended when the map is
+  // inverted.
+  //
+  // @cn 新建一个当前 map 的紧凑的 JSON 表示，它就是该 map 的 ranges 数组，如果 map 是反转的，则会在末尾附加一个额外的 `1`。
+  toCompactJSON() {
+    return this.inverted ? this.ranges.concat(1) : this.ranges.slice()
+  }
+
+  // :: (union<Object, [number]>) → StepMap
+  // Deserialize a step map from its [regular](#transform.StepMap.toJSON)
+  // or [compact](#transform.StepMap.toCompactJSON) JSON representation.
+  //
+  // @cn 从一个 step map 的 [常规](#transform.StepMap.toJSON) 或者 [紧凑](#transform.StepMap.toCompactJSON)
+  // JSON 形式反序列化出一个 step map。
+  static fromJSON(json) {
+    if (json && Array.isArray(json.move)) {
+      let [from, to, target] = json.move
+      if (json.move.length != 3 || json.move.some(n => typeof n != "number") || from > to)
+        throw new RangeError("Invalid input for StepMap.fromJSON")
+      return new MoveMap(from, to, target)
+    }
+    let ranges = Array.isArray(json) ? json : json && json.ranges, inverted = false
+    if (!Array.isArray(ranges) || ranges.some(n => typeof n != "number"))
+      throw new RangeError("Invalid input for StepMap.fromJSON")
+    if (Array.isArray(json)) {
+      if (ranges.length % 3 == 1 && ranges[ranges.length - 1] == 1) {
+        ranges = ranges.slice(0, ranges.length - 1)
+        inverted = true
+      }
+    } else {
+      inverted = !!json.inverted
+    }
+    if (ranges.length % 3) throw new RangeError("Invalid input for StepMap.fromJSON")
+    if (!Array.isArray(json) && json.exact && !inverted) return ComposedMap.fromJSON(ranges.slice(), json.exact)
+    return ranges.length || inverted ? new StepMap(ranges.slice(), inverted) : StepMap.empty
+  }
+
   // :: (n: number) → StepMap
   // Create a map that moves all positions by offset `n` (which may be
   // negative). This can be useful when applying steps meant for a
@@ -172,6 +269,49 @@ export class StepMap {
 
 StepMap.empty = new StepMap([])
 
+// The map for a move step. Its ranges describe the move as a deletion
+// followed by an insertion (which is what `forEach` reports), but
+// positions inside the moved range are carried along to the range's
+// new location.
+export class MoveMap extends StepMap {
+  // : (number, number, number)
+  constructor(from, to, target) {
+    let size = to - from
+    super(target <= from ? [target, 0, size, from, size, 0] : [from, size, 0, target, 0, size])
+    this.from = from
+    this.to = to
+    this.target = target
+    // The start of the moved content in the new document.
+    this.insertAt = target <= from ? target : target - size
+  }
+
+  _map(pos, assoc, simple) {
+    if (this.from < this.to && (pos > this.from && pos < this.to ||
+                                pos == this.from && assoc > 0 || pos == this.to && assoc < 0)) {
+      let result = this.insertAt + (pos - this.from)
+      return simple ? result : new MapResult(result)
+    }
+    return super._map(pos, assoc, simple)
+  }
+
+  invert() {
+    let size = this.to - this.from
+    return new MoveMap(this.insertAt, this.insertAt + size, this.target <= this.from ? this.from + size : this.from)
+  }
+
+  toString() {
+    return "move(" + this.from + "-" + this.to + "→" + this.target + ")"
+  }
+
+  toJSON() {
+    return {move: [this.from, this.to, this.target]}
+  }
+
+  toCompactJSON() {
+    return this.toJSON()
+  }
+}
+
 // :: class extends Mappable
 // A mapping represents a pipeline of zero or more [step
 // maps](#transform.StepMap). It has special provisions for losslessly
@@ -205,6 +345,8 @@ export class Mapping {
     // @cn `maps` 位置的结束位置。
     this.to = to == null ? this.maps.length : to
     this.mirror = mirror
+    // Lookup table for `getMirror`, built lazily.
+    this.mirrorIndex = null
   }
 
   // :: (?number, ?number) → Mapping
@@ -249,8 +391,22 @@ export class Mapping {
   //
   // @cn 寻找给定偏移量位置的 map 的镜像 step map 的偏移量。
   getMirror(n) {
-    if (this.mirror) for (let i = 0; i < this.mirror.length; i++)
-      if (this.mirror[i] == n) return this.mirror[i + (i % 2 ? -1 : 1)]
+    if (!this.mirror) return undefined
+    let index = this.mirrorIndex
+    // The mirror array may be shared with slices of this mapping, and
+    // only ever grows (truncate replaces it), so the index can be
+    // brought up to date incrementally.
+    if (!index || index.mirror != this.mirror || index.length > this.mirror.length)
+      index = this.mirrorIndex = {mirror: this.mirror, length: 0, partner: Object.create(null)}
+    for (let i = index.length; i < this.mirror.length; i += 2) {
+      let a = this.mirror[i], b = this.mirror[i + 1]
+      // Like a scan through the array, the first pair that mentions a
+      // map wins.
+      if (!(a in index.partner)) index.partner[a] = b
+      if (!(b in index.partner)) index.partner[b] = a
+    }
+    index.length = this.mirror.length
+    return index.partner[n]
   }
 
   setMirror(n, m) {
@@ -258,6 +414,22 @@ export class Mapping {
     this.mirror.push(n, m)
   }
 
+  // : (number)
+  // Drop all maps from offset `n` onward, along with any mirror
+  // information that refers to them.
+  truncate(n) {
+    if (n >= this.maps.length) return
+    this.maps.length = n
+    this.from = Math.min(this.from, n)
+    this.to = Math.min(this.to, n)
+    if (this.mirror) {
+      let mirror = []
+      for (let i = 0; i < this.mirror.length; i += 2)
+        if (this.mirror[i] < n && this.mirror[i + 1] < n) mirror.push(this.mirror[i], this.mirror[i + 1])
+      this.mirror = mirror.length ? mirror : null
+    }
+  }
+
   // :: (Mapping)
   // Append the inverse of the given mapping to this one.
   //
@@ -279,6 +451,105 @@ export class Mapping {
     return inverse
   }
 
+  // :: () → StepMap
+  // Combine the maps in this mapping (between `from` and `to`) into a
+  // single step map, so that positions can be mapped through a single
+  // table. Changes that overlap or touch are merged into a single
+  // range. Positions in or on the boundary of such a merged range
+  // still map (with either `assoc`) to the same place they'd map to
+  // through the mapping, but the [inverted](#transform.StepMap.invert)
+  // version of the combined map is a plain step map that doesn't
+  // preserve this. Mirror information (used to recover positions
+  // through inverted steps) is not preserved. Maps produced by [move
+  // steps](#transform.MoveStep) are treated as a deletion plus an
+  // insertion.
+  //
+  // @cn 将当前 mapping 中（`from` 到 `to` 之间）的 maps 合并成一个单独的 step map，以让位置可以只通过一个表来被 map。
+  // 相互重叠或者相邻的修改会被合并成一个 range。位于这样一个合并后的 range 中或者其边界上的位置（无论 `assoc` 是什么）仍然会被 map 到与通过该
+  // mapping 来 map 时相同的地方，不过合并后的 map 的 [反转](#transform.StepMap.invert) 版本是一个不保留这一点的普通 step map。
+  // 镜像信息（用来在反转的 steps 中恢复位置）不会被保留。由 [move steps](#transform.MoveStep) 产生的 maps 会被当作一个删除加一个插入来处理。
+  compose() {
+    let ranges = [], points = [], maps = []
+    for (let i = this.from; i < this.to; i++) {
+      let map = this.maps[i], next = []
+      if (map instanceof MoveMap) map = new StepMap(map.ranges)
+      maps.push(map)
+      map.forEach((oldStart, oldEnd, newStart, newEnd) => next.push([oldStart, oldEnd, newStart, newEnd]))
+      pullBack(ranges, next, points)
+      ranges = composeRanges(ranges, next)
+    }
+    let flat = []
+    for (let i = 0; i < ranges.length; i++) {
+      let [oldStart, oldEnd, newStart, newEnd] = ranges[i]
+      flat.push(oldStart, oldEnd - oldStart, newEnd - newStart)
+    }
+    if (!flat.length) return StepMap.empty
+    let composed = new StepMap(flat), exact = [], through = new Mapping(maps)
+    points.sort((a, b) => a - b)
+    for (let i = 0, j = 0; i < ranges.length; i++) {
+      let [from, to] = ranges[i], inner = []
+      for (; j < points.length && points[j] < to; j++)
+        if (points[j] > from && points[j] != inner[inner.length - 1]) inner.push(points[j])
+      let table = exactTable(through, composed, from, to, inner)
+      if (table) exact.push(table)
+    }
+    return exact.length ? new ComposedMap(flat, exact) : composed
+  }
+
+  // :: () → Object
+  // Create a JSON-serializeable representation of this mapping,
+  // including its mirror information and `from`/`to` window.
+  //
+  // @cn 新建一个当前 mapping 的 JSON 序列化后的版本，包括它的镜像信息以及 `from`/`to` 窗口。
+  toJSON() {
+    return this._toJSON(map => map.toJSON(), pairs => pairs)
+  }
+
+  // :: () → Object
+  // Create a more compact JSON representation of this mapping, in
+  // which the maps are stored in their [compact
+  // form](#transform.StepMap.toCompactJSON) and the mirror pairs as a
+  // flat array.
+  //
+  // @cn 新建一个当前 mapping 的更紧凑的 JSON 表示，其中的 maps 以它们的 [紧凑形式](#transform.StepMap.toCompactJSON)
+  // 保存，镜像对则保存为一个扁平的数组。
+  toCompactJSON() {
+    return this._toJSON(map => map.toCompactJSON(), pairs => [].concat(...pairs))
+  }
+
+  _toJSON(mapToJSON, mirrorToJSON) {
+    let json = {maps: this.maps.map(mapToJSON)}, pairs = []
+    if (this.mirror) for (let i = 0; i < this.mirror.length; i += 2)
+      pairs.push([this.mirror[i], this.mirror[i + 1]])
+    if (pairs.length) json.mirror = mirrorToJSON(pairs)
+    if (this.from) json.from = this.from
+    if (this.to != this.maps.length) json.to = this.to
+    return json
+  }
+
+  // :: (Object) → Mapping
+  // Deserialize a mapping from its [regular](#transform.Mapping.toJSON)
+  // or [compact](#transform.Mapping.toCompactJSON) JSON
+  // representation.
+  //
+  // @cn 从一个 mapping 的 [常规](#transform.Mapping.toJSON) 或者 [紧凑](#transform.Mapping.toCompactJSON)
+  // JSON 形式反序列化出一个 mapping。
+  static fromJSON(json) {
+    if (!json || !Array.isArray(json.maps) ||
+        json.mirror != null && !Array.isArray(json.mirror) ||
+        json.from != null && typeof json.from != "number" ||
+        json.to != null && typeof json.to != "number")
+      throw new RangeError("Invalid input for Mapping.fromJSON")
+    let mapping = new Mapping(json.maps.map(map => StepMap.fromJSON(map)), null, json.from, json.to)
+    if (json.mirror) {
+      let flat = [].concat(...json.mirror)
+      if (flat.length % 2 || flat.some(n => typeof n != "number"))
+        throw new RangeError("Invalid input for Mapping.fromJSON")
+      for (let i = 0; i < flat.length; i += 2) mapping.setMirror(flat[i], flat[i + 1])
+    }
+    return mapping
+  }
+
   // : (number, ?number) → number
   // Map a position through this mapping.
   //
@@ -300,7 +571,7 @@ export class Mapping {
   mapResult(pos, assoc = 1) { return this._map(pos, assoc, false) }
 
   _map(pos, assoc, simple) {
-    let deleted = false
+    let delInfo = 0
 
     for (let i = this.from; i < this.to; i++) {
       let map = this.maps[i], result = map.mapResult(pos, assoc)
@@ -313,10 +584,243 @@ export class Mapping {
         }
       }
 
-      if (result.deleted) deleted = true
+      delInfo |= result.delInfo
       pos = result.pos
     }
 
-    return simple ? pos : new MapResult(pos, deleted)
+    return simple ? pos : new MapResult(pos, (delInfo & DEL_SIDE) > 0, null, delInfo)
+  }
+
+  // :: (number, ?number) → [TraceStep]
+  // Map a position through this mapping like
+  // [`mapResult`](#transform.Mapping.mapResult) does, but return a
+  // record of what happened in each step map, for debugging. When a
+  // position is recovered through a mirrored map, the maps between
+  // the two mirrors are skipped and don't appear in the trace.
+  //
+  // @cn 像 [`mapResult`](#transform.Mapping.mapResult) 一样将一个位置通过该 mapping 进行 map，不过返回的是一个在每一个
+  // step map 中所发生的事情的记录，以用来调试。当一个位置通过一个镜像的 map 被恢复的时候，两个镜像之间的 maps 会被跳过，不会出现在记录中。
+  trace(pos, assoc = 1) {
+    let trace = []
+    for (let i = this.from; i < this.to; i++) {
+      let map = this.maps[i], result = map.mapResult(pos, assoc)
+      let step = {index: i, map, from: pos, to: result.pos, range: hitRange(map, pos), result, mirror: null}
+      trace.push(step)
+      if (result.recover != null) {
+        let corr = this.getMirror(i)
+        if (corr != null && corr > i && corr < this.to) {
+          step.mirror = corr
+          step.to = pos = this.maps[corr].recover(result.recover)
+          i = corr
+          continue
+        }
+      }
+      pos = result.pos
+    }
+    return trace
+  }
+
+  // :: ([TraceStep]) → string
+  // Format a [trace](#transform.Mapping.trace) as a readable string,
+  // with one line per step map.
+  //
+  // @cn 将一个 [trace](#transform.Mapping.trace) 格式化为一个可读的字符串，每一个 step map 一行。
+  static formatTrace(trace) {
+    return trace.map(step => {
+      let line = step.index + " " + step.map + ": " + step.from + " → " + step.to
+      if (step.range) {
+        let {oldStart, oldEnd, newStart, newEnd} = step.range
+        line += " in " + oldStart + "-" + oldEnd + " → " + newStart + "-" + newEnd
+      }
+      if (step.mirror != null) {
+        line += " (recovered through " + step.mirror + ")"
+      } else {
+        let deleted = []
+        if (step.result.deletedBefore) deleted.push("before")
+        if (step.result.deletedAfter) deleted.push("after")
+        if (deleted.length) line += " (deleted " + deleted.join(", ") + (step.result.deleted ? ", position deleted" : "") + ")"
+      }
+      return line
+    }).join("\n")
+  }
+}
+
+// TraceStep:: interface
+// Describes what happened to a position in a single step map, as
+// part of a [trace](#transform.Mapping.trace).
+//
+// @cn 描述一个位置在单个 step map 中发生了什么，是 [trace](#transform.Mapping.trace) 的一部分。
+//
+//   index:: number
+//   The index of the step map in the mapping.
+//
+//   @cn 该 step map 在 mapping 中的索引。
+//
+//   map:: StepMap
+//   The step map.
+//
+//   @cn 该 step map。
+//
+//   from:: number
+//   The position before this map.
+//
+//   @cn 该 map 之前的位置。
+//
+//   to:: number
+//   The position after this map (or, when `mirror` is set, after the
+//   mirroring map).
+//
+//   @cn 该 map 之后的位置（或者，当设置了 `mirror` 的时候，位于镜像 map 之后的位置）。
+//
+//   range:: ?{oldStart: number, oldEnd: number, newStart: number, newEnd: number}
+//   The changed range that the position touched, if any.
+//
+//   @cn 该位置所涉及的修改的 range，如果有的话。
+//
+//   result:: MapResult
+//   The result of mapping the position through this map, which holds
+//   its deletion state.
+//
+//   @cn 将该位置通过该 map 进行 map 的结果，它包含了该位置的删除状态。
+//
+//   mirror:: ?number
+//   When the position was recovered through a mirrored map, this
+//   holds that map's index.
+//
+//   @cn 当该位置通过一个镜像的 map 被恢复的时候，它保存了那个 map 的索引。
+
+// Find the changed range in `map` that `pos` falls in or touches.
+function hitRange(map, pos) {
+  let found = null
+  map.forEach((oldStart, oldEnd, newStart, newEnd) => {
+    if (!found && oldStart <= pos && oldEnd >= pos) found = {oldStart, oldEnd, newStart, newEnd}
+  })
+  return found
+}
+
+// Add the positions in the original document that map to the
+// endpoints of the ranges in `next`, which are in the coordinate
+// space produced by `ranges`, to `points`. Endpoints that fall inside
+// (or on the edge of) a range in `ranges` correspond to positions
+// that are already accounted for.
+function pullBack(ranges, next, points) {
+  for (let i = 0, j = 0, delta = 0; i < next.length; i++) {
+    for (let side = 0; side < 2; side++) {
+      let pos = next[i][side]
+      for (; j < ranges.length && ranges[j][3] < pos; j++)
+        delta += (ranges[j][3] - ranges[j][2]) - (ranges[j][1] - ranges[j][0])
+      if (j == ranges.length || ranges[j][2] > pos) points.push(pos - delta)
+    }
+  }
+}
+
+// Compute how the positions in the composed range `from`-`to` map
+// through `mapping`, given the positions (`inner`) inside the range
+// where that may change. Between two such positions, all positions
+// map to the same place. Returns null when `map` already produces the
+// same results.
+function exactTable(mapping, map, from, to, inner) {
+  let points = [from].concat(inner)
+  if (to > from) points.push(to)
+  let left = [], right = [], differs = false
+  for (let i = 0; i < points.length; i++) {
+    for (let stretch = 0; stretch < (i < points.length - 1 ? 2 : 1); stretch++) {
+      let pos = stretch ? points[i] + 1 : points[i]
+      if (stretch && pos == points[i + 1]) { left.push(null); right.push(null); continue }
+      for (let assoc = -1; assoc <= 1; assoc += 2) {
+        let exact = mapping.mapResult(pos, assoc), plain = map.mapResult(pos, assoc)
+        if (exact.pos != plain.pos || exact.delInfo != plain.delInfo) differs = true
+        ;(assoc < 0 ? left : right).push(new MapResult(exact.pos, exact.deleted, null, exact.delInfo))
+      }
+    }
+  }
+  return differs ? {from, to, points, left, right} : null
+}
+
+// A step map produced by composing a mapping. In addition to its
+// (merged) ranges, it holds exact results for the ranges in which the
+// plain step map rules would map positions differently from the
+// original mapping. Its JSON form includes these tables, so that
+// `StepMap.fromJSON` can restore it.
+class ComposedMap extends StepMap {
+  // : ([number], [Object])
+  constructor(ranges, exact) {
+    super(ranges)
+    this.exact = exact
+  }
+
+  toJSON() {
+    let results = list => list.map(result => result && [result.pos, result.delInfo])
+    return {ranges: this.ranges.slice(),
+            exact: this.exact.map(({from, to, points, left, right}) => ({
+              from, to, points: points.slice(), left: results(left), right: results(right)
+            }))}
+  }
+
+  toCompactJSON() {
+    return this.toJSON()
+  }
+
+  static fromJSON(ranges, json) {
+    if (!Array.isArray(json)) throw new RangeError("Invalid input for StepMap.fromJSON")
+    let results = list => {
+      if (!Array.isArray(list)) throw new RangeError("Invalid input for StepMap.fromJSON")
+      return list.map(result => {
+        if (result == null) return null
+        if (!Array.isArray(result) || typeof result[0] != "number" || typeof result[1] != "number")
+          throw new RangeError("Invalid input for StepMap.fromJSON")
+        return new MapResult(result[0], (result[1] & DEL_SIDE) > 0, null, result[1])
+      })
+    }
+    return new ComposedMap(ranges, json.map(table => {
+      if (!table || typeof table.from != "number" || typeof table.to != "number" || !Array.isArray(table.points) ||
+          table.points.some(n => typeof n != "number"))
+        throw new RangeError("Invalid input for StepMap.fromJSON")
+      return {from: table.from, to: table.to, points: table.points.slice(),
+              left: results(table.left), right: results(table.right)}
+    }))
+  }
+
+  _map(pos, assoc, simple) {
+    let lo = 0, hi = this.exact.length
+    while (lo < hi) {
+      let mid = (lo + hi) >> 1
+      if (this.exact[mid].to < pos) lo = mid + 1
+      else hi = mid
+    }
+    let table = this.exact[lo]
+    if (!table || table.from > pos) return super._map(pos, assoc, simple)
+    let {points} = table, i = 0
+    while (i < points.length - 1 && points[i + 1] <= pos) i++
+    let result = (assoc < 0 ? table.left : table.right)[points[i] == pos ? i * 2 : i * 2 + 1]
+    return simple ? result.pos : new MapResult(result.pos, result.deleted, null, result.delInfo)
+  }
+}
+
+// Compose two lists of `[oldStart, oldEnd, newStart, newEnd]` ranges,
+// where the new positions of `a` are the old positions of `b`, into a
+// list of ranges going from `a`'s old positions to `b`'s new ones.
+// Ranges that overlap or touch in the intermediate coordinate space
+// are merged.
+function composeRanges(a, b) {
+  let result = [], ia = 0, ib = 0, deltaA = 0, deltaB = 0
+  while (ia < a.length || ib < b.length) {
+    let start = Math.min(ia < a.length ? a[ia][2] : Infinity, ib < b.length ? b[ib][0] : Infinity)
+    let end = start, startDeltaA = deltaA, startDeltaB = deltaB
+    for (;;) {
+      if (ia < a.length && a[ia][2] <= end) {
+        let [oldStart, oldEnd, newStart, newEnd] = a[ia++]
+        end = Math.max(end, newEnd)
+        deltaA += (newEnd - newStart) - (oldEnd - oldStart)
+      } else if (ib < b.length && b[ib][0] <= end) {
+        let [oldStart, oldEnd, newStart, newEnd] = b[ib++]
+        end = Math.max(end, oldEnd)
+        deltaB += (newEnd - newStart) - (oldEnd - oldStart)
+      } else {
+        break
+      }
+    }
+    result.push([start - startDeltaA, end - deltaA, start + startDeltaB, end + deltaB])
   }
+  return result
 }
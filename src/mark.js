@@ -1,8 +1,9 @@
-import {MarkType, Slice, Fragment} from "prosemirror-model"
+import {Mark, MarkType, Slice, Fragment} from "prosemirror-model"
 
 import {Transform} from "./transform"
-import {AddMarkStep, RemoveMarkStep} from "./mark_step"
-import {ReplaceStep} from "./replace_step"
+import {AddMarkStep, RemoveMarkStep, AddNodeMarkStep, RemoveNodeMarkStep, UpdateMarkStep,
+        sameRunAttrs, addRun} from "./mark_step"
+import {ReplaceStep, ReplaceAroundStep} from "./replace_step"
 
 // :: (number, number, Mark) → this
 // Add the given mark to the inline content between `from` and `to`.
@@ -84,33 +85,200 @@ Transform.prototype.removeMark = function(from, to, mark = null) {
   return this
 }
 
-// :: (number, NodeType, ?ContentMatch) → this
+// :: (number, number, MarkType, Object) → this
+// Update the attributes of all marks of the given type on inline
+// content between `from` and `to`, in a single step. The properties
+// in `attrs` are merged into each mark's existing attributes, so
+// attributes that aren't mentioned keep their values.
+//
+// @cn 在一个 step 中更新 `from` 到 `to` 之间的内联内容上所有给定类型的 mark 的 attributes。`attrs` 中的属性会被合并到每个 mark
+// 已有的 attributes 中，因此没有被提到的 attributes 会保持它们的值。
+Transform.prototype.updateMarkAttrs = function(from, to, markType, attrs) {
+  let runs = []
+  this.doc.nodesBetween(from, to, (node, pos) => {
+    if (!node.isInline) return
+    let old = markType.isInSet(node.marks)
+    if (!old) return
+    let updated = Object.assign({}, old.attrs, attrs)
+    if (!sameRunAttrs(updated, old.attrs))
+      addRun(runs, Math.max(pos, from), Math.min(pos + node.nodeSize, to), updated)
+  })
+  if (runs.length) this.step(new UpdateMarkStep(markType, runs))
+  return this
+}
+
+// :: (number, Mark) → this
+// Add a mark to the node at position `pos`. Unlike
+// [`addMark`](#transform.Transform.addMark), this also works on block
+// and leaf nodes.
+//
+// @cn 为 `pos` 位置的节点添加一个 mark。与 [`addMark`](#transform.Transform.addMark) 不同，
+// 该方法对块级节点和叶子节点同样有效。
+Transform.prototype.addNodeMark = function(pos, mark) {
+  return this.step(new AddNodeMarkStep(pos, mark))
+}
+
+// :: (number, union<Mark, MarkType>) → this
+// Remove a mark (or a mark of the given type) from the node at
+// position `pos`.
+//
+// @cn 从 `pos` 位置的节点上移除一个 mark（或者给定类型的某个 mark）。
+Transform.prototype.removeNodeMark = function(pos, mark) {
+  if (!(mark instanceof Mark)) {
+    let node = this.doc.nodeAt(pos)
+    if (!node) throw new RangeError("No node at position " + pos)
+    mark = mark.isInSet(node.marks)
+    if (!mark) return this
+  }
+  return this.step(new RemoveNodeMarkStep(pos, mark))
+}
+
+// :: (number, NodeType, ?ContentMatch, ?Object) → this
 // Removes all marks and nodes from the content of the node at `pos`
 // that don't match the given new parent node type. Accepts an
 // optional starting [content match](#model.ContentMatch) as third
-// argument.
+// argument. When the node's current type can't hold the resulting
+// content, the node is replaced, in a single step, by a node of the
+// new type with the same attributes and marks.
 //
 // @cn 从给定的 pos 移除与给定的新的父级节点类型不兼容的所有 marks 和节点们。
-// 接受一个可选的起始 [content match](#model.ContentMatch) 作为第三个参数。
-Transform.prototype.clearIncompatible = function(pos, parentType, match = parentType.contentMatch) {
-  let node = this.doc.nodeAt(pos)
-  let delSteps = [], cur = pos + 1
+// 接受一个可选的起始 [content match](#model.ContentMatch) 作为第三个参数。如果节点当前的类型无法容纳修改后的内容，
+// 该节点会在一个 step 中被替换为一个具有相同 attributes 和 marks 的新类型的节点。
+//
+//   options::-
+//   An optional fourth argument can be used to avoid losing content.
+//
+//   @cn 可选的第四个参数可以被用来避免丢失内容。
+//
+//     convert:: ?bool
+//     When true, incompatible children are, where possible, replaced
+//     by their own content (when that fits), converted to the
+//     parent's default textblock type (for textblocks) or to text
+//     (for inline leaf nodes, using their [text
+//     content](#model.Node.textContent), or a newline for the
+//     schema's [line break
+//     replacement](#model.Schema.linebreakReplacement)), or wrapped
+//     in the nodes found by
+//     [`findWrapping`](#model.ContentMatch.findWrapping), tried in
+//     that order. Only children for which none of these work are
+//     deleted.
+//
+//     @cn 如果为 true，不兼容的子节点会在可能的情况下依次尝试以下做法：被替换为它们自己的内容（如果这些内容适合的话）、
+//     被转换成父级节点的默认文本块类型（对于文本块来说）或者文本（对于内联叶子节点来说，使用它们的 [文本内容](#model.Node.textContent)，
+//     对于 schema 的 [换行替代节点](#model.Schema.linebreakReplacement) 则使用一个换行符）、或者被包裹在通过
+//     [`findWrapping`](#model.ContentMatch.findWrapping) 找到的节点中。只有在这些做法都不可行的时候，子节点才会被删除。
+//
+//     report:: ?[{action: string, pos: number, node: ?Node, mark: ?Mark}]
+//     When given, an entry is pushed to this array for every change
+//     made, with an `action` of `"unwrap"`, `"convert"`, `"wrap"`,
+//     `"delete"`, `"removeMark"` (with the removed `mark`), or
+//     `"fill"` (when content had to be added at the end to make the
+//     node valid). `pos` and `node` refer to the affected child in
+//     the document as it was before the call.
+//
+//     @cn 如果给定了，每一个所做的修改都会向该数组中添加一个条目，其 `action` 为 `"unwrap"`、`"convert"`、`"wrap"`、
+//     `"delete"`、`"removeMark"`（带有被移除的 `mark`）或者 `"fill"`（当需要在末尾添加内容以使节点有效的时候）。
+//     `pos` 和 `node` 指代的是在调用之前的文档中受影响的子节点。
+Transform.prototype.clearIncompatible = function(pos, parentType, match = parentType.contentMatch, options = {}) {
+  let node = this.doc.nodeAt(pos), report = options.report
+  let replaced = [], cur = pos + 1
   for (let i = 0; i < node.childCount; i++) {
     let child = node.child(i), end = cur + child.nodeSize
     let allowed = match.matchType(child.type, child.attrs)
     if (!allowed) {
-      delSteps.push(new ReplaceStep(cur, end, Slice.empty))
+      let converted = options.convert ? convertChild(child, match, parentType) : null
+      if (converted) match = converted.match
+      replaced[i] = converted ? converted.content : Fragment.empty
+      if (report) report.push({action: converted ? converted.action : "delete", pos: cur, node: child, mark: null})
     } else {
       match = allowed
-      for (let j = 0; j < child.marks.length; j++) if (!parentType.allowsMarkType(child.marks[j].type))
+      for (let j = 0; j < child.marks.length; j++) if (!parentType.allowsMarkType(child.marks[j].type)) {
         this.step(new RemoveMarkStep(cur, end, child.marks[j]))
+        if (report) report.push({action: "removeMark", pos: cur, node: child, mark: child.marks[j]})
+      }
     }
     cur = end
   }
-  if (!match.validEnd) {
-    let fill = match.fillBefore(Fragment.empty, true)
-    this.replace(cur, cur, new Slice(fill, 0, 0))
+  let fill = match.validEnd ? null : match.fillBefore(Fragment.empty, true)
+  if (fill && report) report.push({action: "fill", pos: cur, node: null, mark: null})
+  if (!fill && !replaced.length) return this
+
+  // Change the children one at a time when the node's current type
+  // can hold the result, so that positions in them map through.
+  // Otherwise, the type is changed in the same step as the content.
+  let save = this.savepoint(), ok = !fill || !this.maybeStep(new ReplaceStep(cur, cur, new Slice(fill, 0, 0))).failed
+  for (let i = node.childCount - 1, end = cur; ok && i >= 0; i--) {
+    let start = end - node.child(i).nodeSize
+    if (replaced[i]) ok = !this.maybeStep(new ReplaceStep(start, end, new Slice(replaced[i], 0, 0))).failed
+    end = start
+  }
+  if (!ok) {
+    this.rollbackTo(save)
+    replaceWithType(this, pos, parentType, replaced, fill)
   }
-  for (let i = delSteps.length - 1; i >= 0; i--) this.step(delSteps[i])
   return this
 }
+
+// Replace the node at `pos` with a node of the given type, holding
+// its children with the given replacements and fill applied. The
+// longest run of unchanged children is kept in the step's gap.
+function replaceWithType(tr, pos, type, replaced, fill) {
+  let node = tr.doc.nodeAt(pos), gapStart = 0, gapEnd = 0
+  for (let i = 0, start = 0; i <= node.childCount; i++) {
+    if (i == node.childCount || replaced[i]) {
+      if (i - start > gapEnd - gapStart) { gapStart = start; gapEnd = i }
+      start = i + 1
+    }
+  }
+  let before = [], after = [], gapFrom = pos + 1, gapTo = gapFrom
+  node.forEach((child, offset, i) => {
+    let content = replaced[i] || Fragment.from(child)
+    if (i < gapStart) { before.push(content); gapFrom = gapTo = pos + 1 + offset + child.nodeSize }
+    else if (i >= gapEnd) after.push(content)
+    else gapTo = pos + 1 + offset + child.nodeSize
+  })
+  if (fill) after.push(fill)
+  let join = parts => parts.reduce((a, b) => a.append(b), Fragment.empty)
+  let wrapper = type.create(node.attrs, null, node.marks), end = pos + node.nodeSize
+  if (gapEnd > gapStart)
+    tr.step(new ReplaceAroundStep(pos, end, gapFrom, gapTo,
+                                  new Slice(Fragment.from(wrapper.copy(join(before).append(join(after)))), 0, 0),
+                                  1 + join(before).size, false))
+  else
+    tr.step(new ReplaceStep(pos, end, new Slice(Fragment.from(wrapper.copy(join(after))), 0, 0)))
+}
+
+// Find a replacement for a child node that isn't allowed at `match`,
+// returning the replacement content, the match after it, and the
+// kind of conversion that was done.
+function convertChild(child, match, parentType) {
+  let schema = parentType.schema
+  if (child.content.size) {
+    let content = clearMarks(child.content, parentType), after = match.matchFragment(content)
+    if (after) return {action: "unwrap", content, match: after}
+  }
+  if (child.isTextblock) {
+    let type = match.defaultType, content = type && clearMarks(child.content, type)
+    let after = type && type.isTextblock && type.validContent(content) && match.matchType(type)
+    if (after) return {action: "convert", content: Fragment.from(type.create(null, content)), match: after}
+  }
+  if (child.isInline && child.isLeaf) {
+    let text = child.type == schema.linebreakReplacement ? "\n" : child.textContent
+    let after = text && match.matchType(schema.nodes.text)
+    if (after) return {action: "convert", content: Fragment.from(schema.text(text, parentType.allowedMarks(child.marks))), match: after}
+  }
+  let wrap = match.findWrapping(child.type)
+  if (wrap) {
+    let wrapped = child
+    for (let i = wrap.length - 1; wrapped && i >= 0; i--) wrapped = wrap[i].createAndFill(null, wrapped)
+    let after = wrapped && match.matchType(wrapped.type)
+    if (after) return {action: "wrap", content: Fragment.from(wrapped), match: after}
+  }
+  return null
+}
+
+function clearMarks(fragment, parentType) {
+  let nodes = []
+  fragment.forEach(node => nodes.push(node.mark(parentType.allowedMarks(node.marks))))
+  return Fragment.fromArray(nodes)
+}
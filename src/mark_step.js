@@ -37,7 +37,7 @@ export class AddMarkStep extends Step {
       if (!node.isAtom || !parent.type.allowsMarkType(this.mark.type)) return node
       return node.mark(this.mark.addToSet(node.marks))
     }, parent), oldSlice.openStart, oldSlice.openEnd)
-    return StepResult.fromReplace(doc, this.from, this.to, slice)
+    return StepResult.fromReplace(doc, this.from, this.to, slice, this)
   }
 
   invert() {
@@ -95,7 +95,7 @@ export class RemoveMarkStep extends Step {
     let slice = new Slice(mapFragment(oldSlice.content, node => {
       return node.mark(this.mark.removeFromSet(node.marks))
     }), oldSlice.openStart, oldSlice.openEnd)
-    return StepResult.fromReplace(doc, this.from, this.to, slice)
+    return StepResult.fromReplace(doc, this.from, this.to, slice, this)
   }
 
   invert() {
@@ -129,3 +129,245 @@ export class RemoveMarkStep extends Step {
 }
 
 Step.jsonID("removeMark", RemoveMarkStep)
+
+// ::- Add a mark to a specific node.
+//
+// @cn 为一个特定的节点添加一个 mark。
+export class AddNodeMarkStep extends Step {
+  // :: (number, Mark)
+  constructor(pos, mark) {
+    super()
+    // :: number
+    // The position of the target node.
+    this.pos = pos
+    // :: Mark
+    // The mark to add.
+    this.mark = mark
+  }
+
+  apply(doc) {
+    let node = doc.nodeAt(this.pos)
+    if (!node) return StepResult.fail("No node at mark step's position", "noNode",
+                                      {step: this, from: this.pos, to: this.pos})
+    let updated = node.type.create(node.attrs, null, this.mark.addToSet(node.marks))
+    return StepResult.fromReplace(doc, this.pos, this.pos + 1,
+                                  new Slice(Fragment.from(updated), 0, node.isLeaf ? 0 : 1), this)
+  }
+
+  invert(doc) {
+    let node = doc.nodeAt(this.pos)
+    if (node) {
+      let newSet = this.mark.addToSet(node.marks)
+      if (newSet.length == node.marks.length) {
+        // The mark replaced an existing (excluded) mark, so the inverse
+        // puts that one back.
+        for (let i = 0; i < node.marks.length; i++)
+          if (!node.marks[i].isInSet(newSet))
+            return new AddNodeMarkStep(this.pos, node.marks[i])
+        return new AddNodeMarkStep(this.pos, this.mark)
+      }
+    }
+    return new RemoveNodeMarkStep(this.pos, this.mark)
+  }
+
+  map(mapping) {
+    let pos = mapping.mapResult(this.pos, 1)
+    return pos.deletedAfter ? null : new AddNodeMarkStep(pos.pos, this.mark)
+  }
+
+  merge(other) {
+    if (other instanceof AddNodeMarkStep && other.pos == this.pos && other.mark.eq(this.mark))
+      return this
+  }
+
+  toJSON() {
+    return {stepType: "addNodeMark", pos: this.pos, mark: this.mark.toJSON()}
+  }
+
+  static fromJSON(schema, json) {
+    if (typeof json.pos != "number")
+      throw new RangeError("Invalid input for AddNodeMarkStep.fromJSON")
+    return new AddNodeMarkStep(json.pos, schema.markFromJSON(json.mark))
+  }
+}
+
+Step.jsonID("addNodeMark", AddNodeMarkStep)
+
+// ::- Remove a mark from a specific node.
+//
+// @cn 从一个特定的节点上移除一个 mark。
+export class RemoveNodeMarkStep extends Step {
+  // :: (number, Mark)
+  constructor(pos, mark) {
+    super()
+    // :: number
+    // The position of the target node.
+    this.pos = pos
+    // :: Mark
+    // The mark to remove.
+    this.mark = mark
+  }
+
+  apply(doc) {
+    let node = doc.nodeAt(this.pos)
+    if (!node) return StepResult.fail("No node at mark step's position", "noNode",
+                                      {step: this, from: this.pos, to: this.pos})
+    let updated = node.type.create(node.attrs, null, this.mark.removeFromSet(node.marks))
+    return StepResult.fromReplace(doc, this.pos, this.pos + 1,
+                                  new Slice(Fragment.from(updated), 0, node.isLeaf ? 0 : 1), this)
+  }
+
+  invert(doc) {
+    let node = doc.nodeAt(this.pos)
+    if (!node || !this.mark.isInSet(node.marks)) return this
+    return new AddNodeMarkStep(this.pos, this.mark)
+  }
+
+  map(mapping) {
+    let pos = mapping.mapResult(this.pos, 1)
+    return pos.deletedAfter ? null : new RemoveNodeMarkStep(pos.pos, this.mark)
+  }
+
+  merge(other) {
+    if (other instanceof RemoveNodeMarkStep && other.pos == this.pos && other.mark.eq(this.mark))
+      return this
+  }
+
+  toJSON() {
+    return {stepType: "removeNodeMark", pos: this.pos, mark: this.mark.toJSON()}
+  }
+
+  static fromJSON(schema, json) {
+    if (typeof json.pos != "number")
+      throw new RangeError("Invalid input for RemoveNodeMarkStep.fromJSON")
+    return new RemoveNodeMarkStep(json.pos, schema.markFromJSON(json.mark))
+  }
+}
+
+Step.jsonID("removeNodeMark", RemoveNodeMarkStep)
+
+export function sameRunAttrs(a, b) {
+  for (let name in a) if (a[name] !== b[name]) return false
+  for (let name in b) if (!(name in a)) return false
+  return true
+}
+
+export function addRun(runs, from, to, attrs) {
+  let last = runs[runs.length - 1]
+  if (last && last.to == from && sameRunAttrs(last.attrs, attrs)) last.to = to
+  else runs.push({from, to, attrs})
+}
+
+// ::- Change the attributes of the marks of a given type in one or
+// more ranges of inline content, without removing and re-adding
+// them.
+//
+// @cn 修改一个或多个 range 内联内容中给定类型的 mark 的 attributes，而不是先移除再重新添加它们。
+export class UpdateMarkStep extends Step {
+  // :: (MarkType, [{from: number, to: number, attrs: Object}])
+  // Create an update step. `runs` should be a sorted array of
+  // non-overlapping ranges, each with the full set of attributes that
+  // marks of the given type in that range should get.
+  //
+  // @cn 新建一个更新 step。`runs` 应该是一个已排序且互不重叠的 range 数组，每一个都带有该 range 中给定类型的 mark
+  // 应该被设置成的完整的 attributes。
+  constructor(markType, runs) {
+    super()
+    // :: MarkType
+    // The type of the marks to update.
+    this.markType = markType
+    // :: [{from: number, to: number, attrs: Object}]
+    // The ranges to update, along with the attributes to set in them.
+    this.runs = runs
+  }
+
+  // :: number
+  // The start of the updated range.
+  get from() { return this.runs.length ? this.runs[0].from : 0 }
+
+  // :: number
+  // The end of the updated range.
+  get to() { return this.runs.length ? this.runs[this.runs.length - 1].to : 0 }
+
+  apply(doc) {
+    for (let i = 0; i < this.runs.length; i++) {
+      let {from, to, attrs} = this.runs[i], mark = this.markType.create(attrs)
+      let oldSlice = doc.slice(from, to)
+      let slice = new Slice(mapFragment(oldSlice.content, node => {
+        let old = this.markType.isInSet(node.marks)
+        return old ? node.mark(mark.addToSet(old.removeFromSet(node.marks))) : node
+      }), oldSlice.openStart, oldSlice.openEnd)
+      let result = StepResult.fromReplace(doc, from, to, slice, this)
+      if (result.failed) return result
+      doc = result.doc
+    }
+    return StepResult.ok(doc)
+  }
+
+  invert(doc) {
+    let runs = []
+    for (let i = 0; i < this.runs.length; i++) {
+      let {from, to} = this.runs[i]
+      doc.nodesBetween(from, to, (node, pos) => {
+        if (!node.isInline) return
+        let old = this.markType.isInSet(node.marks)
+        if (old) addRun(runs, Math.max(pos, from), Math.min(pos + node.nodeSize, to), old.attrs)
+      })
+    }
+    return new UpdateMarkStep(this.markType, runs)
+  }
+
+  map(mapping) {
+    let runs = []
+    for (let i = 0; i < this.runs.length; i++) {
+      let run = this.runs[i]
+      let from = mapping.mapResult(run.from, 1), to = mapping.mapResult(run.to, -1)
+      if (from.deleted && to.deleted || from.pos >= to.pos) continue
+      runs.push({from: from.pos, to: to.pos, attrs: run.attrs})
+    }
+    return runs.length ? new UpdateMarkStep(this.markType, runs) : null
+  }
+
+  merge(other) {
+    if (!(other instanceof UpdateMarkStep) || other.markType != this.markType ||
+        this.from > other.to || this.to < other.from)
+      return null
+    // Since these steps don't move content, the runs of the second
+    // step simply take precedence over those of the first where they
+    // overlap.
+    let cut = []
+    for (let i = 0; i < this.runs.length; i++) {
+      let pieces = [this.runs[i]]
+      for (let j = 0; j < other.runs.length; j++) {
+        let o = other.runs[j], next = []
+        for (let k = 0; k < pieces.length; k++) {
+          let piece = pieces[k]
+          if (o.to <= piece.from || o.from >= piece.to) { next.push(piece); continue }
+          if (piece.from < o.from) next.push({from: piece.from, to: o.from, attrs: piece.attrs})
+          if (piece.to > o.to) next.push({from: o.to, to: piece.to, attrs: piece.attrs})
+        }
+        pieces = next
+      }
+      cut = cut.concat(pieces)
+    }
+    let runs = []
+    cut.concat(other.runs).sort((a, b) => a.from - b.from)
+      .forEach(run => addRun(runs, run.from, run.to, run.attrs))
+    return new UpdateMarkStep(this.markType, runs)
+  }
+
+  toJSON() {
+    return {stepType: "updateMark", markType: this.markType.name,
+            runs: this.runs.map(run => ({from: run.from, to: run.to, attrs: run.attrs}))}
+  }
+
+  static fromJSON(schema, json) {
+    let markType = schema.marks[json.markType]
+    if (!markType || !Array.isArray(json.runs) ||
+        json.runs.some(run => typeof run.from != "number" || typeof run.to != "number"))
+      throw new RangeError("Invalid input for UpdateMarkStep.fromJSON")
+    return new UpdateMarkStep(markType, json.runs.map(run => ({from: run.from, to: run.to, attrs: run.attrs})))
+  }
+}
+
+Step.jsonID("updateMark", UpdateMarkStep)
@@ -0,0 +1,72 @@
+import {Slice} from "prosemirror-model"
+
+import {Step, StepResult} from "./step"
+import {MoveMap} from "./map"
+
+// ::- Move a range of the document to another position. Unlike a
+// deletion followed by an insertion, the step's map carries positions
+// inside the moved range along to its new location.
+//
+// @cn 将文档的一个 range 移动到另一个位置。与先删除再插入不同，该 step 的 map 会将位于被移动 range 中的位置一起带到其新的位置。
+export class MoveStep extends Step {
+  // :: (number, number, number)
+  // Create a step that moves the content between `from` and `to` to
+  // `target`, which is a position in the document before the step,
+  // and must not lie inside the moved range.
+  //
+  // @cn 新建一个将 `from` 和 `to` 之间的内容移动到 `target` 的 step，`target` 是一个位于该 step 之前的文档中的位置，
+  // 并且不能位于被移动的 range 内部。
+  constructor(from, to, target) {
+    super()
+    // :: number
+    // The start of the moved range.
+    this.from = from
+    // :: number
+    // The end of the moved range.
+    this.to = to
+    // :: number
+    // The position the content is moved to.
+    this.target = target
+  }
+
+  apply(doc) {
+    if (this.target > this.from && this.target < this.to)
+      return StepResult.fail("Move target inside moved range", "moveTarget",
+                             {step: this, from: this.from, to: this.to})
+    let slice = doc.slice(this.from, this.to)
+    let deleted = StepResult.fromReplace(doc, this.from, this.to, Slice.empty, this)
+    if (deleted.failed) return deleted
+    let insertAt = this.target <= this.from ? this.target : this.target - (this.to - this.from)
+    return StepResult.fromReplace(deleted.doc, insertAt, insertAt, slice, this)
+  }
+
+  getMap() {
+    return new MoveMap(this.from, this.to, this.target)
+  }
+
+  invert() {
+    let size = this.to - this.from
+    if (this.target <= this.from) return new MoveStep(this.target, this.target + size, this.from + size)
+    return new MoveStep(this.target - size, this.target, this.from)
+  }
+
+  map(mapping) {
+    let from = mapping.mapResult(this.from, 1), to = mapping.mapResult(this.to, -1)
+    let target = mapping.mapResult(this.target, -1)
+    if (from.deleted && to.deleted || target.deleted || from.pos >= to.pos ||
+        target.pos > from.pos && target.pos < to.pos) return null
+    return new MoveStep(from.pos, to.pos, target.pos)
+  }
+
+  toJSON() {
+    return {stepType: "move", from: this.from, to: this.to, target: this.target}
+  }
+
+  static fromJSON(schema, json) {
+    if (typeof json.from != "number" || typeof json.to != "number" || typeof json.target != "number")
+      throw new RangeError("Invalid input for MoveStep.fromJSON")
+    return new MoveStep(json.from, json.to, json.target)
+  }
+}
+
+Step.jsonID("move", MoveStep)
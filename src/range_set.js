@@ -0,0 +1,220 @@
+import {StepMap, Mapping, DEL_BEFORE, DEL_AFTER, DEL_INSIDE, DEL_SIDE} from "./map"
+
+// MappedRange:: interface
+// A range tracked by a [`RangeSet`](#transform.RangeSet).
+//
+// @cn 一个被 [`RangeSet`](#transform.RangeSet) 跟踪的 range。
+//
+//   from:: number
+//   The start of the range.
+//
+//   @cn range 的起始位置。
+//
+//   to:: number
+//   The end of the range.
+//
+//   @cn range 的结束位置。
+//
+//   value:: any
+//   The value associated with the range.
+//
+//   @cn 与该 range 关联的值。
+//
+//   inclusiveStart:: ?bool
+//   When true, content inserted directly at the start of the range
+//   becomes part of it. Defaults to false.
+//
+//   @cn 如果为 true，直接在 range 起始位置插入的内容会成为 range 的一部分。默认为 false。
+//
+//   inclusiveEnd:: ?bool
+//   When true, content inserted directly at the end of the range
+//   becomes part of it. Defaults to false.
+//
+//   @cn 如果为 true，直接在 range 结束位置插入的内容会成为 range 的一部分。默认为 false。
+//
+//   onDelete:: ?string
+//   What to do when the content of the range is deleted. `"drop"`
+//   (the default) removes the range from the set, `"keep"` keeps it
+//   as an empty range at the position where the content used to be.
+//
+//   @cn 当 range 的内容被删除的时候要做什么。`"drop"`（默认值）会从集合中移除该 range，`"keep"`
+//   则会将其保留为一个位于原内容所在位置的空 range。
+
+function normalize(range) {
+  if (typeof range.from != "number" || typeof range.to != "number" || range.from > range.to)
+    throw new RangeError("Invalid range " + range.from + "-" + range.to)
+  return {from: range.from, to: range.to, value: range.value,
+          inclusiveStart: !!range.inclusiveStart, inclusiveEnd: !!range.inclusiveEnd,
+          onDelete: range.onDelete || "drop"}
+}
+
+function byPos(a, b) { return a.from - b.from || a.to - b.to }
+
+function byEndPos(a, b) { return a.pos - b.pos || a.assoc - b.assoc }
+
+// ::- A persistent, sorted set of [ranges](#transform.MappedRange)
+// that can be efficiently mapped through document changes and
+// queried by position.
+//
+// @cn 一个持久化的、有序的 [ranges](#transform.MappedRange) 集合，它可以被高效地 map 通过文档的修改，并且可以按位置查询。
+export class RangeSet {
+  // : ([MappedRange])
+  constructor(ranges) {
+    // :: [MappedRange]
+    // The ranges in this set, sorted by start position. Should not be
+    // mutated.
+    //
+    // @cn 该集合中的 ranges，按起始位置排序。不应该被修改。
+    this.ranges = ranges
+    let maxEnd = this.maxEnd = []
+    for (let i = 0, max = -1; i < ranges.length; i++) maxEnd.push(max = Math.max(max, ranges[i].to))
+  }
+
+  // :: number
+  // The number of ranges in the set.
+  //
+  // @cn 集合中 ranges 的数量。
+  get size() { return this.ranges.length }
+
+  // :: ([MappedRange]) → RangeSet
+  // Create a set of the given ranges.
+  //
+  // @cn 用给定的 ranges 新建一个集合。
+  static create(ranges) {
+    return ranges.length ? new RangeSet(ranges.map(normalize).sort(byPos)) : RangeSet.empty
+  }
+
+  // :: ([MappedRange]) → RangeSet
+  // Create a new set that contains the ranges in this one plus the
+  // given ranges.
+  //
+  // @cn 新建一个包含当前集合中的 ranges 以及给定 ranges 的集合。
+  add(ranges) {
+    if (!ranges.length) return this
+    return new RangeSet(this.ranges.concat(ranges.map(normalize)).sort(byPos))
+  }
+
+  // :: ((MappedRange) → bool) → RangeSet
+  // Create a new set without the ranges for which `pred` returns
+  // true.
+  //
+  // @cn 新建一个不包含那些 `pred` 返回 true 的 ranges 的集合。
+  remove(pred) {
+    let ranges = this.ranges.filter(range => !pred(range))
+    return ranges.length == this.ranges.length ? this : ranges.length ? new RangeSet(ranges) : RangeSet.empty
+  }
+
+  // :: (?number, ?number) → [MappedRange]
+  // Find the ranges that overlap or touch the given range (or
+  // position, when `to` is omitted).
+  //
+  // @cn 找到那些与给定 range（或者位置，如果省略了 `to` 的话）重叠或者相邻的 ranges。
+  find(from = 0, to = from) {
+    let ranges = this.ranges, lo = 0, hi = ranges.length
+    // Find the first range that starts after `to`
+    while (lo < hi) {
+      let mid = (lo + hi) >> 1
+      if (ranges[mid].from <= to) lo = mid + 1
+      else hi = mid
+    }
+    let found = []
+    for (let i = lo - 1; i >= 0 && this.maxEnd[i] >= from; i--)
+      if (ranges[i].to >= from) found.push(ranges[i])
+    return found.reverse()
+  }
+
+  // :: (Mappable) → RangeSet
+  // Map the ranges in this set through the given
+  // [mappable](#transform.Mappable), returning a new set. When given a
+  // [`StepMap`](#transform.StepMap) or a
+  // [`Mapping`](#transform.Mapping) without mirror information,
+  // [moves](#transform.MoveStep), or
+  // [composed](#transform.Mapping.compose) maps, the ranges are mapped
+  // through each step map in a single sweep.
+  //
+  // @cn 将当前集合中的 ranges 通过给定的 [mappable](#transform.Mappable) 来 map，返回一个新的集合。当给定的是一个
+  // [`StepMap`](#transform.StepMap) 或者一个没有镜像信息、[moves](#transform.MoveStep) 或者 [合并后的](#transform.Mapping.compose) maps 的 [`Mapping`](#transform.Mapping) 的时候，
+  // ranges 会在一次扫描中被 map 通过每一个 step map。
+  map(mapping) {
+    if (!this.ranges.length) return this
+    let ends = []
+    for (let i = 0; i < this.ranges.length; i++) {
+      let range = this.ranges[i]
+      ends.push({pos: range.from, assoc: range.inclusiveStart ? -1 : 1, delInfo: 0},
+                {pos: range.to, assoc: range.inclusiveEnd ? 1 : -1, delInfo: 0})
+    }
+    let maps = mapping instanceof StepMap ? [mapping]
+        : mapping instanceof Mapping && !mapping.mirror ? mapping.maps.slice(mapping.from, mapping.to) : null
+    // Moves and composed maps don't follow the plain step map rules
+    if (maps && maps.every(map => map.constructor == StepMap)) {
+      let sorted = ends.slice().sort(byEndPos)
+      for (let i = 0; i < maps.length; i++) {
+        // A replaced range can map a position with assoc 1 past a
+        // later one with assoc -1, so restore the order before the
+        // next sweep when that happened.
+        if (!sweep(maps[i], sorted) && i < maps.length - 1) sorted.sort(byEndPos)
+      }
+    } else {
+      for (let i = 0; i < ends.length; i++) {
+        let end = ends[i], result = mapping.mapResult(end.pos, end.assoc)
+        end.pos = result.pos
+        end.delInfo = result.delInfo
+      }
+    }
+
+    let mapped = [], changed = false
+    for (let i = 0; i < this.ranges.length; i++) {
+      let range = this.ranges[i], start = ends[i * 2], end = ends[i * 2 + 1]
+      let from = start.pos, to = Math.max(from, end.pos)
+      let deleted = range.from == range.to ? (start.delInfo & DEL_SIDE) > 0
+          : from >= to && ((start.delInfo & DEL_AFTER_ANY) > 0 || (end.delInfo & DEL_BEFORE_ANY) > 0)
+      if (deleted && range.onDelete != "keep") { changed = true; continue }
+      if (from != range.from || to != range.to) {
+        changed = true
+        range = {from, to, value: range.value, inclusiveStart: range.inclusiveStart,
+                 inclusiveEnd: range.inclusiveEnd, onDelete: range.onDelete}
+      }
+      mapped.push(range)
+    }
+    if (!changed) return this
+    return mapped.length ? new RangeSet(mapped.sort(byPos)) : RangeSet.empty
+  }
+}
+
+// :: RangeSet
+// The empty range set.
+//
+// @cn 空的 range 集合。
+RangeSet.empty = new RangeSet([])
+
+const DEL_BEFORE_ANY = DEL_BEFORE | DEL_INSIDE, DEL_AFTER_ANY = DEL_AFTER | DEL_INSIDE
+
+// Map a sorted array of `{pos, assoc, delInfo}` objects through a
+// step map in one pass, updating them in place. Produces the same
+// results as `StepMap.mapResult`. Returns false when the mapped
+// positions are no longer sorted.
+function sweep(map, ends) {
+  let ranges = [], sorted = true, prev = -1
+  map.forEach((oldStart, oldEnd, newStart, newEnd) => ranges.push(oldStart, oldEnd, newStart, newEnd))
+  let r = 0, diff = 0
+  for (let i = 0; i < ends.length; i++) {
+    let end = ends[i], pos = end.pos
+    while (r < ranges.length && ranges[r + 1] < pos) {
+      diff = ranges[r + 3] - ranges[r + 1]
+      r += 4
+    }
+    if (r < ranges.length && ranges[r] <= pos) {
+      let start = ranges[r], stop = ranges[r + 1], oldSize = stop - start, newSize = ranges[r + 3] - ranges[r + 2]
+      let side = !oldSize ? end.assoc : pos == start ? -1 : pos == stop ? 1 : end.assoc
+      let del = !oldSize ? 0 : pos == start ? DEL_AFTER : pos == stop ? DEL_BEFORE : DEL_INSIDE
+      if (end.assoc < 0 ? pos != start : pos != stop) del |= DEL_SIDE
+      end.pos = ranges[r + 2] + (side < 0 ? 0 : newSize)
+      end.delInfo |= del
+    } else {
+      end.pos = pos + diff
+    }
+    if (end.pos < prev) sorted = false
+    prev = end.pos
+  }
+  return sorted
+}
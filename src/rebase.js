@@ -0,0 +1,43 @@
+// :: (Transform, [{step: Step, inverted: Step}], [Step]) → {steps: [{step: Step, inverted: Step, index: number}], dropped: [number]}
+// Rebase a sequence of local steps over a sequence of remote steps
+// that were applied to the same starting document. `transform`
+// should start at the document with the local steps applied.
+// `local` holds the local steps, each along with its inverse (as
+// computed with [`Step.invert`](#transform.Step.invert) on the
+// document before that step).
+//
+// @cn 将一系列本地的 steps 在一系列应用于同一个起始文档的远程 steps 上进行 rebase。`transform` 应该起始于应用了本地 steps
+// 之后的文档。`local` 保存了本地的 steps，每一个都带有它的反转版本（在该 step 之前的文档上通过 [`Step.invert`](#transform.Step.invert)
+// 计算得到）。
+//
+// This will undo the local steps, apply the remote steps, and then
+// map the local steps through the remote changes and reapply them,
+// registering each reapplied step as the mirror image of its
+// inverted version in the transform's mapping, so that positions can
+// be mapped through the whole transform losslessly.
+//
+// @cn 该函数会撤销本地的 steps，应用远程的 steps，然后将本地的 steps 通过远程的修改进行 map 后重新应用它们，
+// 并在 transform 的 mapping 中将每一个重新应用的 step 注册为其反转版本的镜像，以让位置可以被无损地 map 通过整个 transform。
+//
+// Returns the rebased local steps (with their new inverses and their
+// index in `local`), and the indices of the local steps that were
+// dropped, because they could not be mapped or no longer applied.
+//
+// @cn 返回 rebase 后的本地 steps（带有它们新的反转版本以及它们在 `local` 中的索引），以及那些被丢弃的本地 steps 的索引，
+// 它们被丢弃是因为它们无法被 map 或者不能再被应用了。
+export function rebaseSteps(transform, local, remote) {
+  for (let i = local.length - 1; i >= 0; i--) transform.step(local[i].inverted)
+  for (let i = 0; i < remote.length; i++) transform.step(remote[i])
+  let steps = [], dropped = []
+  for (let i = 0, mapFrom = transform.steps.length - remote.length; i < local.length; i++) {
+    let mapped = local[i].step.map(transform.mapping.slice(mapFrom))
+    mapFrom--
+    if (mapped && !transform.maybeStep(mapped).failed) {
+      transform.mapping.setMirror(mapFrom, transform.steps.length - 1)
+      steps.push({step: mapped, inverted: mapped.invert(transform.docs[transform.docs.length - 1]), index: i})
+    } else {
+      dropped.push(i)
+    }
+  }
+  return {steps, dropped}
+}
@@ -1,6 +1,7 @@
 import {Fragment, Slice} from "prosemirror-model"
 
 import {ReplaceStep, ReplaceAroundStep} from "./replace_step"
+import {MoveStep} from "./move_step"
 import {Transform} from "./transform"
 import {insertPoint} from "./structure"
 
@@ -57,6 +58,22 @@ Transform.prototype.insert = function(pos, content) {
   return this.replaceWith(pos, pos, content)
 }
 
+// :: (number, number, number) → this
+// Move the content between `from` and `to` to `target`, using a
+// [move step](#transform.MoveStep), so that positions inside the
+// moved content are mapped to its new location. `target` is a
+// position in the current document, and may not lie inside the
+// moved range.
+//
+// @cn 使用一个 [move step](#transform.MoveStep) 将 `from` 和 `to` 之间的内容移动到 `target`，以让位于被移动内容中的位置被
+// map 到其新的位置。`target` 是一个当前文档中的位置，且不能位于被移动的 range 内部。
+Transform.prototype.move = function(from, to, target) {
+  if (from > to || target > from && target < to)
+    throw new RangeError("Invalid move of " + from + "-" + to + " to " + target)
+  if (from < to && target != from && target != to) this.step(new MoveStep(from, to, target))
+  return this
+}
+
 function fitsTrivially($from, $to, slice) {
   return !slice.openStart && !slice.openEnd && $from.start() == $to.start() &&
     $from.parent.canReplace($from.index(), $to.index(), slice.content)
@@ -511,3 +528,71 @@ function coveredDepths($from, $to) {
   }
   return result
 }
+
+// :: (union<RegExp, string>, union<string, ([string]) → string>, ?{from: ?number, to: ?number}) → this
+// Replace all matches of `pattern` in the textblocks between `from`
+// and `to` (defaulting to the whole document). Matches may span
+// adjacent text nodes with different marks, but not non-text inline
+// nodes. `replacement` can be a string, in which `$&` and `$1`–`$9`
+// refer to the matched text and its groups, or a function that is
+// given the match array and returns the text to insert. Each
+// character of the inserted text takes the marks of the matched
+// character at the same offset (or of the last matched character,
+// when the replacement is longer than the match). Empty matches are
+// ignored.
+//
+// @cn 替换 `from` 和 `to` 之间（默认为整个文档）的文本块中所有 `pattern` 的匹配。匹配可以跨越带有不同 marks 的相邻文本节点，
+// 但是不能跨越非文本的内联节点。`replacement` 可以是一个字符串，其中的 `$&` 和 `$1`–`$9` 指代匹配的文本及其分组，也可以是一个函数，
+// 它接受匹配数组作为参数，返回要插入的文本。插入文本的每一个字符会使用相同偏移量处被匹配字符的 marks（当替换文本比匹配文本长的时候，
+// 则使用最后一个被匹配字符的 marks）。空的匹配会被忽略。
+Transform.prototype.replaceAll = function(pattern, replacement, {from = 0, to = this.doc.content.size} = {}) {
+  let flags = typeof pattern == "string" ? "g" : pattern.flags.indexOf("g") > -1 ? pattern.flags : pattern.flags + "g"
+  let regexp = new RegExp(typeof pattern == "string" ? pattern.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&") : pattern.source, flags)
+  let matches = []
+  this.doc.nodesBetween(from, to, (node, pos) => {
+    if (!node.isTextblock) return
+    let text = "", marks = []
+    node.forEach(child => {
+      if (child.isText) {
+        text += child.text
+        for (let i = 0; i < child.text.length; i++) marks.push(child.marks)
+      } else {
+        for (let i = 0; i < child.nodeSize; i++) { text += objectChar; marks.push(null) }
+      }
+    })
+    let start = pos + 1
+    regexp.lastIndex = 0
+    for (let match; (match = regexp.exec(text));) {
+      if (!match[0]) { regexp.lastIndex++; continue }
+      let matchFrom = start + match.index, matchTo = matchFrom + match[0].length
+      if (matchFrom < from || matchTo > to || match[0].indexOf(objectChar) > -1) continue
+      matches.push({from: matchFrom, to: matchTo, match, marks: marks.slice(match.index, match.index + match[0].length)})
+    }
+    return false
+  })
+
+  let mapFrom = this.steps.length, schema = this.doc.type.schema
+  for (let i = 0; i < matches.length; i++) {
+    let {from, to, match, marks} = matches[i]
+    let text = typeof replacement == "function" ? replacement(match) : expandReplacement(replacement, match)
+    let nodes = []
+    for (let pos = 0; pos < text.length;) {
+      let nodeMarks = marks[Math.min(pos, marks.length - 1)], end = pos + 1
+      while (end < text.length && marks[Math.min(end, marks.length - 1)] == nodeMarks) end++
+      nodes.push(schema.text(text.slice(pos, end), nodeMarks))
+      pos = end
+    }
+    let mapping = this.mapping.slice(mapFrom)
+    this.replaceWith(mapping.map(from, 1), mapping.map(to, -1), nodes)
+  }
+  return this
+}
+
+// Stands in for non-text inline nodes in the text that patterns are
+// matched against.
+const objectChar = "\ufffc"
+
+function expandReplacement(replacement, match) {
+  return replacement.replace(/\$([$&]|\d)/g, (all, ref) =>
+    ref == "$" ? "$" : ref == "&" ? match[0] : match[+ref] != null ? match[+ref] : "")
+}
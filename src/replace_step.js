@@ -35,8 +35,9 @@ export class ReplaceStep extends Step {
 
   apply(doc) {
     if (this.structure && contentBetween(doc, this.from, this.to))
-      return StepResult.fail("Structure replace would overwrite content")
-    return StepResult.fromReplace(doc, this.from, this.to, this.slice)
+      return StepResult.fail("Structure replace would overwrite content", "overwrite",
+                             {step: this, from: this.from, to: this.to})
+    return StepResult.fromReplace(doc, this.from, this.to, this.slice, this)
   }
 
   getMap() {
@@ -126,14 +127,17 @@ export class ReplaceAroundStep extends Step {
   apply(doc) {
     if (this.structure && (contentBetween(doc, this.from, this.gapFrom) ||
                            contentBetween(doc, this.gapTo, this.to)))
-      return StepResult.fail("Structure gap-replace would overwrite content")
+      return StepResult.fail("Structure gap-replace would overwrite content", "overwrite",
+                             {step: this, from: this.from, to: this.to})
 
     let gap = doc.slice(this.gapFrom, this.gapTo)
     if (gap.openStart || gap.openEnd)
-      return StepResult.fail("Gap is not a flat range")
+      return StepResult.fail("Gap is not a flat range", "gapNotFlat",
+                             {step: this, from: this.gapFrom, to: this.gapTo})
     let inserted = this.slice.insertAt(this.insert, gap.content)
-    if (!inserted) return StepResult.fail("Content does not fit in gap")
-    return StepResult.fromReplace(doc, this.from, this.to, inserted)
+    if (!inserted) return StepResult.fail("Content does not fit in gap", "gapMismatch",
+                                          {step: this, from: this.gapFrom, to: this.gapTo})
+    return StepResult.fromReplace(doc, this.from, this.to, inserted, this)
   }
 
   getMap() {
@@ -31,6 +31,26 @@ export class Step {
   // 也可能表示成功，此时它会包含一个转换后的文档。
   apply(_doc) { return mustOverride() }
 
+  // :: (doc: Node) → StepResult
+  // Apply this step like [`apply`](#transform.Step.apply) does, but
+  // additionally verify that the content and marks in the part of
+  // the document touched by the step conform to the schema, turning
+  // violations into a failed result.
+  //
+  // @cn 像 [`apply`](#transform.Step.apply) 一样应用当前 step，不过会额外检查文档中被该 step 修改的部分的内容和 marks
+  // 是否符合 schema，如果不符合，则返回一个失败的结果。
+  applyChecked(doc) {
+    let result = this.apply(doc)
+    if (result.failed) return result
+    let start = doc.content.findDiffStart(result.doc.content)
+    if (start == null) return result
+    let end = doc.content.findDiffEnd(result.doc.content).b
+    let from = Math.min(start, end), to = Math.max(start, end)
+    let $start = result.doc.resolve(from), depth = $start.sharedDepth(to)
+    let invalid = invalidContent($start.node(depth), $start.start(depth), from, to)
+    return invalid ? StepResult.fail(invalid.message, invalid.code, {step: this, from: invalid.from, to: invalid.to}) : result
+  }
+
   // :: () → StepMap
   // Get the step map that represents the changes made by this step,
   // and which can be used to transform between positions in the old
@@ -102,13 +122,86 @@ export class Step {
   }
 }
 
+// Find the first schema violation in the given node, or in those of
+// its descendants that overlap the changed range `from`-`to`. `start`
+// is the position of the node's content.
+function invalidContent(node, start, from, to) {
+  for (let i = 0, pos = start; i < node.childCount; i++) {
+    let child = node.child(i), end = pos + child.nodeSize
+    if (end > from && pos < to) for (let j = 0; j < child.marks.length; j++) if (!node.type.allowsMarkType(child.marks[j].type))
+      return {code: "invalidMark", message: "Mark " + child.marks[j].type.name + " not allowed in node " + node.type.name,
+              from: pos, to: end}
+    pos = end
+  }
+  if (!node.type.validContent(node.content))
+    return {code: "invalidContent", message: "Invalid content for node " + node.type.name,
+            from: start, to: start + node.content.size}
+  for (let i = 0, pos = start; i < node.childCount && pos < to; i++) {
+    let child = node.child(i), end = pos + child.nodeSize
+    if (end > from) {
+      let inner = invalidContent(child, pos + 1, from, to)
+      if (inner) return inner
+    }
+    pos = end
+  }
+  return null
+}
+
+// StepFailure:: interface
+// A machine-readable description of the reason a step could not be
+// applied.
+//
+// @cn 一个机器可读的、描述 step 为什么不能被应用的对象。
+//
+//   code:: string
+//   A stable identifier for the kind of failure. The built-in steps
+//   use `"replace"` (the resulting content was invalid, see
+//   `replaceError`), `"overwrite"` (a structure step would overwrite
+//   content), `"gapNotFlat"`, `"gapMismatch"` (the gap content doesn't
+//   fit the slice), and `"noNode"` (there is no node at the step's
+//   position). [`applyChecked`](#transform.Step.applyChecked) adds
+//   `"invalidContent"` and `"invalidMark"`. Failures created without
+//   a code get `"failed"`.
+//
+//   @cn 一个表示失败种类的稳定标识符。内置的 steps 会使用 `"replace"`（替换后的内容无效，见 `replaceError`）、
+//   `"overwrite"`（一个 structure step 将会覆盖内容）、`"gapNotFlat"`、`"gapMismatch"`（gap 的内容不适合 slice）
+//   以及 `"noNode"`（step 的位置处没有节点）。[`applyChecked`](#transform.Step.applyChecked) 会额外使用
+//   `"invalidContent"` 和 `"invalidMark"`。没有提供 code 的失败会得到 `"failed"`。
+//
+//   message:: string
+//   Human-readable text describing the failure.
+//
+//   @cn 描述该失败的人类可读的文本。
+//
+//   step:: ?Step
+//   The step that failed, when known.
+//
+//   @cn 失败的 step，如果已知的话。
+//
+//   from:: ?number
+//   The start of the range in the document that the failure relates
+//   to, if any.
+//
+//   @cn 与该失败相关的文档 range 的起始位置，如果有的话。
+//
+//   to:: ?number
+//   The end of that range.
+//
+//   @cn 该 range 的结束位置。
+//
+//   replaceError:: ?ReplaceError
+//   The error thrown by [`Node.replace`](#model.Node.replace), for
+//   failures with code `"replace"`.
+//
+//   @cn 对于 code 为 `"replace"` 的失败，这是由 [`Node.replace`](#model.Node.replace) 抛出的错误。
+
 // ::- The result of [applying](#transform.Step.apply) a step. Contains either a
 // new document or a failure value.
 //
 // @cn  [applying（应用）](#transform.Step.apply) 一个 step 的结果。可能包含一个新的文档或者是一个失败的值。
 export class StepResult {
-  // : (?Node, ?string)
-  constructor(doc, failed) {
+  // : (?Node, ?string, ?StepFailure)
+  constructor(doc, failed, failure = null) {
     // :: ?Node The transformed document.
     //
     // @cn transform 后的文档。
@@ -117,6 +210,11 @@ export class StepResult {
     //
     // @cn 提供失败信息的文本。
     this.failed = failed
+    // :: ?StepFailure
+    // Structured information about a failed step.
+    //
+    // @cn 关于失败 step 的结构化信息。
+    this.failure = failure
   }
 
   // :: (Node) → StepResult
@@ -125,24 +223,35 @@ export class StepResult {
   // @cn 创建一个成功的 step 结果。
   static ok(doc) { return new StepResult(doc, null) }
 
-  // :: (string) → StepResult
-  // Create a failed step result.
+  // :: (string, ?string, ?{step: ?Step, from: ?number, to: ?number, replaceError: ?ReplaceError}) → StepResult
+  // Create a failed step result. `code` and `details` are used to
+  // build the result's [`failure`](#transform.StepResult.failure)
+  // object.
   //
-  // @cn 创建一个失败的 step 结果。
-  static fail(message) { return new StepResult(null, message) }
+  // @cn 创建一个失败的 step 结果。`code` 和 `details` 被用来构建结果的 [`failure`](#transform.StepResult.failure) 对象。
+  static fail(message, code = "failed", details = {}) {
+    return new StepResult(null, message, {
+      code, message,
+      step: details.step || null,
+      from: details.from == null ? null : details.from,
+      to: details.to == null ? null : details.to,
+      replaceError: details.replaceError || null
+    })
+  }
 
-  // :: (Node, number, number, Slice) → StepResult
+  // :: (Node, number, number, Slice, ?Step) → StepResult
   // Call [`Node.replace`](#model.Node.replace) with the given
   // arguments. Create a successful result if it succeeds, and a
-  // failed one if it throws a `ReplaceError`.
+  // failed one if it throws a `ReplaceError`. When `step` is given,
+  // it is stored in the failure object.
   //
   // @cn 用给定的参数调用 [`Node.replace`](#model.Node.replace)。如果成功就返回一个成功值，
-  // 如果它抛出一个 `ReplaceError` 则返回一个失败值。
-  static fromReplace(doc, from, to, slice) {
+  // 如果它抛出一个 `ReplaceError` 则返回一个失败值。如果给定了 `step`，它会被保存在失败对象中。
+  static fromReplace(doc, from, to, slice, step) {
     try {
       return StepResult.ok(doc.replace(from, to, slice))
     } catch (e) {
-      if (e instanceof ReplaceError) return StepResult.fail(e.message)
+      if (e instanceof ReplaceError) return StepResult.fail(e.message, "replace", {step, from, to, replaceError: e})
       throw e
     }
   }
@@ -2,6 +2,8 @@ import {Slice, Fragment} from "prosemirror-model"
 
 import {Transform} from "./transform"
 import {ReplaceStep, ReplaceAroundStep} from "./replace_step"
+import {AttrStep, DocAttrStep} from "./attr_step"
+import {RemoveMarkStep, RemoveNodeMarkStep} from "./mark_step"
 
 function canCut(node, start, end) {
   return (start == 0 || node.canReplace(start, node.childCount)) &&
@@ -66,6 +68,158 @@ Transform.prototype.lift = function(range, target) {
                                          before.size - openStart, true))
 }
 
+// :: (Node, union<number, NodeRange>, NodeType) → bool
+// Check whether [`unwrap`](#transform.Transform.unwrap) can remove the
+// nearest ancestor of type `nodeType` around the given position or
+// range.
+//
+// @cn 检查 [`unwrap`](#transform.Transform.unwrap) 能否移除给定位置或者 range 周围最近的一个类型为 `nodeType` 的祖先节点。
+export function canUnwrap(doc, pos, nodeType) {
+  return !!unwrapRange(doc, pos, nodeType)
+}
+
+// Find the ancestor to unwrap and the range of its children that
+// would be lifted out of it.
+function unwrapRange(doc, pos, nodeType) {
+  let isPos = typeof pos == "number"
+  let $from = isPos ? doc.resolve(pos) : pos.$from, $to = isPos ? $from : pos.$to
+  let depth = isPos ? $from.depth : pos.depth
+  while (depth > 0 && $from.node(depth).type != nodeType) depth--
+  if (!depth) return null
+  let node = $from.node(depth), parent = $from.node(depth - 1), index = $from.index(depth - 1)
+  let start = isPos ? 0 : $from.index(depth), end = isPos ? node.childCount : $to.indexAfter(depth)
+  if (start >= end || node.type.spec.isolating || !canCut(node, start, end)) return null
+  let content = node.content.cutByIndex(start, end)
+  if (start > 0) content = Fragment.from(node.copy(node.content.cutByIndex(0, start))).append(content)
+  if (end < node.childCount) content = content.addToEnd(node.copy(node.content.cutByIndex(end)))
+  if (!parent.canReplace(index, index + 1, content)) return null
+  return {$from, depth, start, end}
+}
+
+// :: (union<number, NodeRange>, NodeType) → this
+// Remove the nearest ancestor of type `nodeType` around the given
+// position, moving its content into its parent. When given a range,
+// only the children of the ancestor that the range covers are moved
+// out, and the ancestor is split around them if it has other
+// content. Throws a `RangeError` when there's no such ancestor, or
+// its parent can't hold the lifted content (see
+// [`canUnwrap`](#transform.canUnwrap)).
+//
+// @cn 移除给定位置周围最近的一个类型为 `nodeType` 的祖先节点，将它的内容移动到它的父级节点中。当给定的是一个 range 的时候，
+// 只有被该 range 覆盖的该祖先节点的子节点会被移出，如果该祖先节点还有其他内容的话，它会在这些子节点周围被分割。
+// 当没有这样的祖先节点，或者它的父级节点无法容纳被提升的内容的时候，会抛出一个 `RangeError`（参见 [`canUnwrap`](#transform.canUnwrap)）。
+Transform.prototype.unwrap = function(pos, nodeType) {
+  let found = unwrapRange(this.doc, pos, nodeType)
+  if (!found) throw new RangeError("Can't unwrap " + nodeType.name + " here")
+  let {$from, depth, start, end} = found, node = $from.node(depth)
+  let gapStart = $from.start(depth)
+  for (let i = 0; i < start; i++) gapStart += node.child(i).nodeSize
+  let gapEnd = gapStart
+  for (let i = start; i < end; i++) gapEnd += node.child(i).nodeSize
+  let splitBefore = start > 0, splitAfter = end < node.childCount
+  let before = splitBefore ? Fragment.from(node.copy()) : Fragment.empty
+  let after = splitAfter ? Fragment.from(node.copy()) : Fragment.empty
+  return this.step(new ReplaceAroundStep(splitBefore ? gapStart : gapStart - 1, splitAfter ? gapEnd : gapEnd + 1,
+                                         gapStart, gapEnd,
+                                         new Slice(before.append(after), splitBefore ? 1 : 0, splitAfter ? 1 : 0),
+                                         splitBefore ? 1 : 0, true))
+}
+
+// :: (NodeRange) → ?[{type: NodeType, attrs: ?Object}]
+// Try to find a way to move the content in the given range into the
+// end of the node directly before it, the inverse of a
+// [lift](#transform.Transform.lift). Returns the (possibly empty)
+// array of wrapper nodes the content must be placed in to fit there,
+// or null when the range has no previous sibling, that sibling is
+// [isolating](#model.NodeSpec.isolating), or no valid wrapping could
+// be found. Wrapping the content in a node like the range's parent
+// (for example a nested list) is preferred over other wrappers.
+//
+// @cn 尝试找到一个方式将给定 range 的内容移动到紧挨着它之前的节点的末尾，即 [lift](#transform.Transform.lift) 的逆操作。
+// 返回内容为了能够放在那里而必须被放入的包裹节点数组（可能为空），如果该 range 没有前一个同级节点、该同级节点是
+// [isolating](#model.NodeSpec.isolating) 的，或者找不到有效的包裹方式的话，则返回 null。用一个与该 range 的父级节点相同的节点（比如一个嵌套的列表）
+// 来包裹内容会优先于其他的包裹节点。
+export function sinkTarget(range) {
+  let {parent, startIndex, endIndex} = range
+  if (startIndex == 0 || !parent.canReplace(startIndex, endIndex)) return null
+  let before = parent.child(startIndex - 1)
+  if (before.isLeaf || before.type.spec.isolating) return null
+  let content = parent.content.cutByIndex(startIndex, endIndex)
+  let match = before.contentMatchAt(before.childCount)
+  if (fitsWrapped(match, content, [])) return []
+  let like = [{type: parent.type, attrs: parent.attrs}]
+  if (fitsWrapped(match, content, like)) return like
+  let around = match.findWrapping(content.firstChild.type)
+  if (around && around.length) {
+    let wrappers = around.map(withAttrs)
+    if (fitsWrapped(match, content, wrappers)) return wrappers
+  }
+  return null
+}
+
+// Check whether `content`, wrapped in the given wrappers, can be
+// appended to a node at content match `match`.
+function fitsWrapped(match, content, wrappers) {
+  for (let i = wrappers.length - 1; i >= 0; i--) {
+    let {type, attrs} = wrappers[i]
+    if (!type.validContent(content) || (!attrs && type.hasRequiredAttrs())) return false
+    content = Fragment.from(type.create(attrs, content))
+  }
+  let after = match.matchFragment(content)
+  return !!after && after.validEnd
+}
+
+// :: (NodeRange, ?Object) → this
+// Move the content in the given range into the end of the node
+// directly before it, wrapping it in the nodes returned by
+// [`sinkTarget`](#transform.sinkTarget). When the last child of
+// that node is already of the outermost wrapper's type (say, a
+// nested list), the content is appended to that node instead of
+// creating a new wrapper. Throws a `RangeError` when the range can't
+// be sunk.
+//
+// options::- Configures the sink.
+//
+//   wrappers:: ?[{type: NodeType, attrs: ?Object}]
+//   The wrappers to use, instead of the ones computed by
+//   `sinkTarget`. Should be valid in this position.
+//
+//   join:: ?bool
+//   Set this to false to always create new wrapper nodes, rather
+//   than appending to a matching node at the end of the previous
+//   sibling. Defaults to true.
+//
+// @cn 将给定 range 的内容移动到紧挨着它之前的节点的末尾，并用 [`sinkTarget`](#transform.sinkTarget) 返回的节点包裹它。
+// 当那个节点的最后一个子节点已经是最外层包裹节点的类型（比如说，一个嵌套的列表）的时候，内容会被追加到该节点中，而不是新建一个包裹节点。
+// 当该 range 无法被下沉的时候，会抛出一个 `RangeError`。
+//
+// @cn options: 配置下沉操作。
+//
+// @cn wrappers: 要使用的包裹节点，而不是由 `sinkTarget` 计算出来的那些。它们应该在该位置是有效的。
+//
+// @cn join: 将其设置为 false 以总是新建包裹节点，而不是追加到前一个同级节点末尾的一个匹配的节点中。默认为 true。
+Transform.prototype.sink = function(range, options = {}) {
+  let wrappers = options.wrappers || sinkTarget(range)
+  if (!wrappers) throw new RangeError("Can't sink this range")
+  let {parent, startIndex, endIndex} = range
+  let content = parent.content.cutByIndex(startIndex, endIndex)
+  let containers = [parent.child(startIndex - 1)]
+  for (;;) {
+    let last = containers[containers.length - 1].lastChild
+    if (options.join === false || !wrappers.length || !last || last.type != wrappers[0].type ||
+        !fitsWrapped(last.contentMatchAt(last.childCount), content, wrappers.slice(1))) break
+    containers.push(last)
+    wrappers = wrappers.slice(1)
+  }
+  let inner = Fragment.empty
+  for (let i = wrappers.length - 1; i >= 0; i--)
+    inner = Fragment.from(wrappers[i].type.create(wrappers[i].attrs, inner))
+  for (let i = containers.length - 1; i >= 0; i--)
+    inner = Fragment.from(containers[i].copy(inner))
+  return this.step(new ReplaceAroundStep(range.start - containers.length, range.end, range.start, range.end,
+                                         new Slice(inner, containers.length, 0), wrappers.length, true))
+}
+
 // :: (NodeRange, NodeType, ?Object, ?NodeRange) → ?[{type: NodeType, attrs: ?Object}]
 // Try to find a valid way to wrap the content in the given range in a
 // node of the given type. May introduce extra nodes around and inside
@@ -153,6 +307,199 @@ function canChangeType(doc, pos, type) {
   return $pos.parent.canReplaceWith(index, index + 1, type)
 }
 
+// :: (NodeRange, NodeType, ?Object) → this
+// Change the type of the nodes in the given range to `type`. Unlike
+// [`setBlockType`](#transform.Transform.setBlockType), this works for
+// any kind of node. Descendants that don't fit the new type's content
+// expression are converted, recursively, to a type that does fit
+// (preferring the expression's default type), or, failing that,
+// wrapped in the nodes found by
+// [`findWrapping`](#model.ContentMatch.findWrapping), so that, for
+// example, the rows and cells of a table can be turned into those of
+// another table-like node, and the paragraphs in a blockquote into
+// the items of a list. When `attrs` isn't given, attributes that the old
+// and new types share are kept. Throws a `RangeError`, without
+// changing anything, when the nodes can't be converted.
+//
+// Nodes are converted level by level, so that positions in their
+// content keep mapping cleanly. Only when a node and its children
+// both have to change, and the node has more than one child (so
+// that no valid intermediate document exists), is that node
+// replaced as a whole.
+//
+// @cn 将给定 range 中的节点的类型改变为 `type`。与 [`setBlockType`](#transform.Transform.setBlockType) 不同，
+// 它适用于任何种类的节点。不符合新类型内容表达式的后代节点会被递归地转换成一个符合的类型（优先使用表达式的默认类型），
+// 如果不行的话，则被包裹在通过 [`findWrapping`](#model.ContentMatch.findWrapping) 找到的节点中，
+// 因此，比如说，一个表格的行和单元格可以被转换成另一个类似表格的节点的行和单元格，一个引用块中的段落可以被转换成一个列表的列表项。如果没有给定 `attrs`，新旧类型共有的 attributes 会被保留。
+// 当节点无法被转换的时候，会抛出一个 `RangeError`，且不做任何修改。
+//
+// @cn 节点会被逐层地转换，因此位于它们内容中的位置可以继续被干净地 map。只有当一个节点和它的子节点都需要改变，
+// 并且该节点有不止一个子节点（因此不存在有效的中间文档）的时候，该节点才会被整个替换。
+Transform.prototype.setNodeType = function(range, type, attrs) {
+  let {parent, startIndex, endIndex} = range, nodes = []
+  for (let i = startIndex; i < endIndex; i++) {
+    let node = parent.child(i), converted = convertNode(node, type, attrs)
+    if (!converted) throw new RangeError("Cannot convert " + node.type.name + " to " + type.name)
+    nodes.push(converted)
+  }
+  if (!parent.canReplace(startIndex, endIndex, Fragment.from(nodes)))
+    throw new RangeError("Type " + type.name + " is not allowed in " + parent.type.name)
+  let mapFrom = this.steps.length
+  for (let i = 0, pos = range.start; i < nodes.length; i++) {
+    let old = parent.child(startIndex + i), node = nodes[i], mapping = this.mapping.slice(mapFrom)
+    let start = mapping.map(pos, 1), end = mapping.map(pos + old.nodeSize, -1)
+    let save = this.steps.length
+    if (old.isLeaf || !convertInPlace(this, old, node, start)) {
+      this.rollbackTo(save)
+      if (this.maybeStep(new ReplaceStep(start, end, new Slice(Fragment.from(node), 0, 0))).failed) {
+        this.rollbackTo(mapFrom)
+        throw new RangeError("Cannot convert " + old.type.name + " to " + type.name)
+      }
+    }
+    pos += old.nodeSize
+  }
+  return this
+}
+
+// Turn `old`, at `pos`, into `node` (as created by `convertNode`,
+// which gives it the same shape, except for wrappers added around
+// some children) level by level, so that positions in its content
+// map cleanly. Single-child chains of changed nodes are converted in
+// a single step, since their intermediate states would be invalid.
+// When some part can't be converted in place, that part is replaced
+// as a whole, or, if that fails too, this returns false.
+function convertInPlace(tr, old, node, pos) {
+  if (old.isInline && (old.isLeaf || old.isText)) {
+    for (let i = 0; i < old.marks.length; i++) if (!old.marks[i].isInSet(node.marks))
+      tr.step(new RemoveMarkStep(pos, pos + old.nodeSize, old.marks[i]))
+    return true
+  }
+  if (old.isLeaf) {
+    for (let i = 0; i < old.marks.length; i++) if (!old.marks[i].isInSet(node.marks))
+      tr.step(new RemoveNodeMarkStep(pos, old.marks[i]))
+    return true
+  }
+  let wrap = wrapDepth(node, old), end = pos + old.nodeSize
+  if (wrap) return !tr.maybeStep(new ReplaceAroundStep(pos, end, pos, end, wrappersSlice(node, wrap), wrap, true)).failed
+  let inner = old, innerNode = node, wrappers = [], depth = 0, oldLevels = 1, newLevels = 1
+  while (!inner.hasMarkup(innerNode.type, innerNode.attrs, innerNode.marks)) {
+    wrappers.push(innerNode)
+    depth++
+    let child = inner.childCount == 1 && inner.firstChild, childNode = innerNode.firstChild
+    if (!child || child.isLeaf) break
+    // Wrappers added around the child are created by the same step
+    let childWrap = wrapDepth(childNode, child)
+    for (let i = 0; i < childWrap; i++) { wrappers.push(childNode); childNode = childNode.firstChild }
+    if (!childWrap && child.hasMarkup(childNode.type, childNode.attrs, childNode.marks)) break
+    inner = child
+    innerNode = childNode
+    oldLevels++
+    newLevels += 1 + childWrap
+  }
+  // Marks that the new type doesn't allow have to be cleared before
+  // it can hold the content
+  if (inner.inlineContent && !convertChildren(tr, inner, innerNode, pos + oldLevels)) return false
+  if (wrappers.length &&
+      tr.maybeStep(new ReplaceAroundStep(pos, end, pos + depth, end - depth,
+                                         wrappersSlice(node, wrappers.length), wrappers.length, true)).failed)
+    return false
+  return inner.inlineContent || convertChildren(tr, inner, innerNode, pos + newLevels)
+}
+
+// The number of single-child levels `node` adds around `child`, or 0
+// if it isn't a wrapped version of `child`.
+function wrapDepth(node, child) {
+  let depth = 0
+  for (; !node.eq(child); depth++) {
+    if (node.childCount != 1 || node.inlineContent) return 0
+    node = node.firstChild
+  }
+  return depth
+}
+
+// The outer `depth` levels of a single-child chain of nodes, without
+// the content below them.
+function wrappersSlice(node, depth) {
+  let chain = []
+  for (let i = 0; i < depth; i++, node = node.firstChild) chain.push(node)
+  let content = Fragment.empty
+  for (let i = chain.length - 1; i >= 0; i--) content = Fragment.from(chain[i].copy(content))
+  return new Slice(content, 0, 0)
+}
+
+// Convert the children of `old`, whose content starts at `start`, to
+// those of `node`, replacing children that can't be converted in
+// place.
+function convertChildren(tr, old, node, start) {
+  for (let i = 0, offset = 0; i < old.childCount; i++) {
+    // Look up by offset, since adjacent text nodes may have been
+    // joined when their marks were cleared
+    let child = old.child(i), converted = old.inlineContent ? node.nodeAt(offset) : node.child(i)
+    let cur = start + offset, save = tr.steps.length
+    if (!convertInPlace(tr, child, converted, cur)) {
+      tr.rollbackTo(save)
+      if (tr.maybeStep(new ReplaceStep(cur, cur + child.nodeSize, new Slice(Fragment.from(converted), 0, 0))).failed)
+        return false
+    }
+    // Wrapped children grow, but inline children keep their size
+    offset += old.inlineContent ? child.nodeSize : converted.nodeSize
+  }
+  return true
+}
+
+// Create a version of `node` with the given type, or return null if
+// that isn't possible.
+function convertNode(node, type, attrs) {
+  if (node.isText || type.isText || node.isLeaf != type.isLeaf) return null
+  if (!attrs) {
+    attrs = {}
+    for (let name in type.attrs) {
+      if (name in node.attrs) attrs[name] = node.attrs[name]
+      else if (type.attrs[name].isRequired) return null
+    }
+  }
+  let content = type.isLeaf ? Fragment.empty : fitContent(node.content, type)
+  return content && type.create(attrs, content, node.marks)
+}
+
+// Adjust a fragment to fit the content expression of `type`,
+// converting children that don't fit.
+function fitContent(content, type) {
+  let match = type.contentMatch, children = []
+  for (let i = 0; i < content.childCount; i++) {
+    let child = content.child(i), next = match.matchType(child.type)
+    if (next) {
+      child = child.mark(type.allowedMarks(child.marks))
+    } else if (!child.isLeaf) {
+      let candidates = [match.defaultType]
+      for (let j = 0; j < match.edgeCount; j++) candidates.push(match.edge(j).type)
+      for (let j = 0; j < candidates.length && !next; j++) {
+        let converted = candidates[j] && convertNode(child, candidates[j], null)
+        if (converted) { child = converted; next = match.matchType(converted.type) }
+      }
+    }
+    if (!next && !child.isInline) {
+      let wrapped = wrapNode(content.child(i), match)
+      if (wrapped) { child = wrapped; next = match.matchType(wrapped.type) }
+    }
+    if (!next) return null
+    children.push(child)
+    match = next
+  }
+  return match.validEnd ? Fragment.fromArray(children) : null
+}
+
+// Wrap `node` in the nodes found by `findWrapping` at `match`, when
+// they can hold it without further content.
+function wrapNode(node, match) {
+  let wrap = match.findWrapping(node.type)
+  for (let i = wrap ? wrap.length - 1 : -1; node && i >= 0; i--) {
+    let inner = wrap[i].contentMatch.matchType(node.type)
+    node = inner && inner.validEnd ? wrap[i].create(null, node) : null
+  }
+  return wrap && node
+}
+
 // :: (number, ?NodeType, ?Object, ?[Mark]) → this
 // Change the type, attributes, and/or marks of the node at `pos`.
 // When `type` isn't given, the existing node type is preserved,
@@ -173,6 +520,55 @@ Transform.prototype.setNodeMarkup = function(pos, type, attrs, marks) {
                                          new Slice(Fragment.from(newNode), 0, 0), 1, true))
 }
 
+// :: (number, string, any) → this
+// Set a single attribute on a given node to a new value. Unlike
+// [`setNodeMarkup`](#transform.Transform.setNodeMarkup), this doesn't
+// replace the node, so positions on its boundaries map cleanly.
+//
+// @cn 将给定节点上的单个 attribute 设置为一个新的值。与 [`setNodeMarkup`](#transform.Transform.setNodeMarkup)
+// 不同，它不会替换该节点，因此节点边界上的位置可以被干净地 map。
+Transform.prototype.setNodeAttribute = function(pos, attr, value) {
+  return this.step(new AttrStep(pos, attr, value))
+}
+
+// :: (number, number, (node: Node, pos: number, parent: Node) → bool, union<Object, (node: Node, pos: number) → ?Object>) → this
+// Update the attributes of all non-text nodes (partly) between `from`
+// and `to` for which `predicate` returns true. `attrs` is either an
+// object holding the attributes to set, or a function that computes
+// such an object for a given node (or returns null to leave it
+// alone). Attributes not mentioned keep their current value. This
+// adds an [attribute step](#transform.AttrStep) for each attribute
+// that actually changes, so positions aren't affected. Throws a
+// `RangeError` when asked to set an attribute the node's type
+// doesn't have.
+//
+// @cn 更新 `from` 和 `to` 之间（部分地）所有 `predicate` 返回 true 的非文本节点的 attributes。`attrs` 可以是一个保存了要设置的
+// attributes 的对象，也可以是一个为给定节点计算出这样一个对象的函数（或者返回 null 以不修改该节点）。未被提及的 attributes 会保留它们当前的值。
+// 该方法会为每一个真正改变了的 attribute 添加一个 [attribute step](#transform.AttrStep)，因此位置不会受到影响。
+// 当被要求设置一个节点类型所没有的 attribute 的时候，会抛出一个 `RangeError`。
+Transform.prototype.updateNodesBetween = function(from, to, predicate, attrs) {
+  let steps = []
+  this.doc.nodesBetween(from, to, (node, pos, parent) => {
+    if (node.isText || !predicate(node, pos, parent)) return
+    let values = typeof attrs == "function" ? attrs(node, pos) : attrs
+    if (values) for (let name in values) {
+      if (!(name in node.type.attrs))
+        throw new RangeError("Node type " + node.type.name + " has no attribute " + name)
+      if (node.attrs[name] !== values[name]) steps.push(new AttrStep(pos, name, values[name]))
+    }
+  })
+  steps.forEach(step => this.step(step))
+  return this
+}
+
+// :: (string, any) → this
+// Set a single attribute on the document's top node to a new value.
+//
+// @cn 将文档顶层节点上的单个 attribute 设置为一个新的值。
+Transform.prototype.setDocAttribute = function(attr, value) {
+  return this.step(new DocAttrStep(attr, value))
+}
+
 // :: (Node, number, number, ?[?{type: NodeType, attrs: ?Object}]) → bool
 // Check whether splitting at the given position is allowed.
 //
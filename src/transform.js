@@ -1,8 +1,15 @@
 import {Mapping} from "./map"
 
-export function TransformError(message) {
+// ::- Error type raised by [`Transform.step`](#transform.Transform.step)
+// when a step fails to apply. Its `failure` property holds a
+// [`StepFailure`](#transform.StepFailure) describing what went wrong.
+//
+// @cn 当一个 step 应用失败的时候，由 [`Transform.step`](#transform.Transform.step) 抛出的错误类型。
+// 它的 `failure` 属性保存了一个描述出错原因的 [`StepFailure`](#transform.StepFailure) 对象。
+export function TransformError(message, failure) {
   let err = Error.call(this, message)
   err.__proto__ = TransformError.prototype
+  err.failure = failure || null
   return err
 }
 
@@ -10,6 +17,62 @@ TransformError.prototype = Object.create(Error.prototype)
 TransformError.prototype.constructor = TransformError
 TransformError.prototype.name = "TransformError"
 
+// ::- A position that is registered on a
+// [`Transform`](#transform.Transform) and mapped through every step
+// added to it. Created with
+// [`Transform.bookmark`](#transform.Transform.bookmark).
+//
+// @cn 一个被注册在 [`Transform`](#transform.Transform) 上，并且会被 map 通过每一个添加到该 transform 上的 step 的位置。
+// 通过 [`Transform.bookmark`](#transform.Transform.bookmark) 来新建。
+export class Bookmark {
+  // : (Transform, number, number)
+  constructor(tr, pos, assoc) {
+    this.tr = tr
+    // The position the bookmark was created at, and the number of
+    // steps the transform had at that point.
+    this.origin = pos
+    this.start = tr.steps.length
+    // :: number
+    // The side the bookmark associates with, as passed to
+    // [`mapResult`](#transform.Mappable.mapResult).
+    //
+    // @cn 该书签所关联的一侧，会被传给 [`mapResult`](#transform.Mappable.mapResult)。
+    this.assoc = assoc
+    // :: bool
+    // Set when the bookmark was dropped by a
+    // [rollback](#transform.Transform.rollbackTo) to a point before
+    // its creation. Dropped bookmarks are no longer mapped.
+    //
+    // @cn 当书签由于一个 [回滚](#transform.Transform.rollbackTo) 到它被创建之前的点而被丢弃的时候会被设置。被丢弃的书签不会再被 map。
+    this.dropped = false
+    // The result the bookmark was frozen at when it was removed or
+    // dropped.
+    this.frozen = null
+  }
+
+  // :: number
+  // The bookmarked position in the transform's current document.
+  //
+  // @cn 被标记的位置在 transform 的当前文档中的位置。
+  get pos() { return this.result().pos }
+
+  // :: bool
+  // Whether the content around the bookmark was
+  // [deleted](#transform.MapResult.deleted) by the steps added since
+  // it was created.
+  //
+  // @cn 书签周围的内容是否被它被创建之后添加的 steps [删除](#transform.MapResult.deleted) 了。
+  get deleted() { return this.result().deleted }
+
+  result() {
+    return this.frozen || this.tr.mapping.slice(this.start).mapResult(this.origin, this.assoc)
+  }
+
+  freeze() {
+    this.frozen = this.result()
+  }
+}
+
 // ::- Abstraction to build up and track an array of
 // [steps](#transform.Step) representing a document transformation.
 //
@@ -46,6 +109,16 @@ export class Transform {
     //
     // @cn 一个 maps 了 transform 中的每一个 steps 的 mapping。
     this.mapping = new Mapping
+    // :: bool
+    // When true, steps are applied with
+    // [`applyChecked`](#transform.Step.applyChecked), so that steps
+    // that produce content or marks not allowed by the schema fail.
+    // Defaults to false.
+    //
+    // @cn 如果为 true，steps 会通过 [`applyChecked`](#transform.Step.applyChecked) 来应用，
+    // 因此那些产生了 schema 不允许的内容或者 marks 的 step 将会失败。默认为 false。
+    this.strict = false
+    this.bookmarks = []
   }
 
   // :: Node The starting document.
@@ -62,7 +135,7 @@ export class Transform {
   // @comment 错误的类叫做「TransformError」。
   step(object) {
     let result = this.maybeStep(object)
-    if (result.failed) throw new TransformError(result.failed)
+    if (result.failed) throw new TransformError(result.failed, result.failure)
     return this
   }
 
@@ -72,8 +145,9 @@ export class Transform {
   //
   // @cn 尝试在当前 transformation 中应用一个 step，如果失败则忽略，否则返回 step result。
   maybeStep(step) {
-    let result = step.apply(this.doc)
+    let result = this.strict ? step.applyChecked(this.doc) : step.apply(this.doc)
     if (!result.failed) this.addStep(step, result.doc)
+    else if (result.failure && !result.failure.step) result.failure.step = step
     return result
   }
 
@@ -86,6 +160,85 @@ export class Transform {
     return this.steps.length > 0
   }
 
+  // :: () → number
+  // Create a savepoint that can later be passed to
+  // [`rollbackTo`](#transform.Transform.rollbackTo) to drop all steps
+  // added after this point.
+  //
+  // @cn 新建一个保存点，之后可以将其传给 [`rollbackTo`](#transform.Transform.rollbackTo) 来丢弃在该点之后添加的所有 steps。
+  savepoint() {
+    return this.steps.length
+  }
+
+  // :: (number) → this
+  // Roll the transform back to the state it was in when the given
+  // savepoint was created, removing later steps, documents, and maps.
+  //
+  // @cn 将 transform 回滚到给定保存点被创建时的状态，移除之后的 steps、文档和 maps。
+  rollbackTo(savepoint) {
+    if (savepoint < 0 || savepoint > this.steps.length)
+      throw new RangeError("Invalid savepoint " + savepoint)
+    if (savepoint < this.steps.length) {
+      this.bookmarks = this.bookmarks.filter(bookmark => {
+        if (bookmark.start <= savepoint) return true
+        bookmark.freeze()
+        bookmark.dropped = true
+        return false
+      })
+      this.doc = this.docs[savepoint]
+      this.steps.length = this.docs.length = savepoint
+      this.mapping.truncate(savepoint)
+    }
+    return this
+  }
+
+  // :: () → ?Step
+  // Remove the last step from this transform, restoring the document
+  // to the state before it. Returns the removed step, or null when
+  // there were no steps.
+  //
+  // @cn 从当前 transform 中移除最后一个 step，将文档恢复到该 step 之前的状态。返回被移除的 step，如果没有 step 的话，返回 null。
+  popStep() {
+    if (!this.steps.length) return null
+    let step = this.steps[this.steps.length - 1]
+    this.rollbackTo(this.steps.length - 1)
+    return step
+  }
+
+  // :: (number, ?number) → Bookmark
+  // Register a [bookmark](#transform.Bookmark) at the given position
+  // in the current document. It will be mapped (with the given
+  // `assoc`, which defaults to 1) through every step added to this
+  // transform afterwards, so that its `pos` always refers to the
+  // current document. The position is computed from where the
+  // bookmark was created, through a
+  // [slice](#transform.Mapping.slice) of the transform's mapping, so
+  // that it takes [mirrors](#transform.Mapping.setMirror) and
+  // rollbacks into account.
+  //
+  // @cn 在当前文档的给定位置注册一个 [书签](#transform.Bookmark)。它会被 map（使用给定的 `assoc`，默认为 1）
+  // 通过之后添加到该 transform 上的每一个 step，因此它的 `pos` 总是指向当前文档。该位置是从书签被创建的地方开始，
+  // 通过 transform 的 mapping 的一个 [切片](#transform.Mapping.slice) 计算得到的，因此它会考虑 [镜像](#transform.Mapping.setMirror) 和回滚。
+  bookmark(pos, assoc = 1) {
+    if (pos < 0 || pos > this.doc.content.size) throw new RangeError("Position " + pos + " out of range")
+    let bookmark = new Bookmark(this, pos, assoc)
+    this.bookmarks.push(bookmark)
+    return bookmark
+  }
+
+  // :: (Bookmark) → this
+  // Stop mapping the given bookmark.
+  //
+  // @cn 停止 map 给定的书签。
+  removeBookmark(bookmark) {
+    let index = this.bookmarks.indexOf(bookmark)
+    if (index > -1) {
+      bookmark.freeze()
+      this.bookmarks.splice(index, 1)
+    }
+    return this
+  }
+
   addStep(step, doc) {
     this.docs.push(this.doc)
     this.steps.push(step)
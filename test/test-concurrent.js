@@ -0,0 +1,245 @@
+const {Slice, Fragment, Schema} = require("prosemirror-model")
+const {ReplaceStep, AddMarkStep, RemoveMarkStep, ReplaceAroundStep, AttrStep, DocAttrStep, AddNodeMarkStep,
+       RemoveNodeMarkStep, Transform, transformSteps, rebaseSteps} = require("..")
+const {eq, schema, doc, p, em, strong, a, blockquote, h1, h2, h3, img, builders} = require("prosemirror-test-builder")
+const ist = require("ist")
+
+function ins(pos, text) {
+  return new ReplaceStep(pos, pos, new Slice(Fragment.from(schema.text(text)), 0, 0))
+}
+function repl(from, to, text) {
+  return new ReplaceStep(from, to, text ? new Slice(Fragment.from(schema.text(text)), 0, 0) : Slice.empty)
+}
+
+function converge(d, a, b, expect) {
+  let [a1, b1] = transformSteps(a, b, d)
+  let ab = new Transform(d).step(a)
+  b1.forEach(s => ab.step(s))
+  let ba = new Transform(d).step(b)
+  a1.forEach(s => ba.step(s))
+  ist(ab.doc, ba.doc, eq)
+  if (expect) ist(ab.doc, expect, eq)
+}
+
+describe("transformSteps", () => {
+  let d = doc(p("abcdefgh"))
+
+  it("handles separate insertions", () =>
+     converge(d, ins(2, "X"), ins(6, "Y"), doc(p("aXbcdeYfgh"))))
+
+  it("puts the first step's content first on ties", () => {
+    converge(d, ins(3, "A"), ins(3, "B"), doc(p("abABcdefgh")))
+    converge(d, ins(3, "B"), ins(3, "A"), doc(p("abBAcdefgh")))
+  })
+
+  it("handles overlapping deletions", () =>
+     converge(d, repl(2, 6), repl(4, 8), doc(p("ah"))))
+
+  it("handles overlapping replacements", () =>
+     converge(d, repl(2, 6, "X"), repl(4, 8, "Y"), doc(p("aXYh"))))
+
+  it("handles an insertion at the edge of a replacement", () => {
+    converge(d, ins(3, "A"), repl(3, 5, "Y"), doc(p("abAYefgh")))
+    converge(d, ins(5, "A"), repl(3, 5, "Y"), doc(p("abYAefgh")))
+  })
+
+  it("keeps both replacements of the same range, putting a first", () => {
+    converge(d, repl(2, 4, "X"), repl(2, 4, "Y"), doc(p("aXYdefgh")))
+    converge(d, repl(2, 4, "Y"), repl(2, 4, "X"), doc(p("aYXdefgh")))
+    converge(d, repl(2, 4), repl(2, 4, "Y"), doc(p("aYdefgh")))
+  })
+
+  it("handles replacements that share a start", () => {
+    converge(d, repl(2, 4, "X"), repl(2, 6, "Y"), doc(p("aXYfgh")))
+    converge(d, repl(2, 6, "X"), repl(2, 4, "Y"), doc(p("aXYfgh")))
+    converge(d, repl(2, 6, "X"), repl(2, 4), doc(p("aXfgh")))
+    converge(d, repl(2, 6), repl(2, 4, "Y"), doc(p("aYfgh")))
+  })
+
+  it("drops insertions inside deleted content", () => {
+    let [a1, b1] = transformSteps(repl(2, 8), ins(4, "X"))
+    ist(b1.length, 0)
+    ist(a1.length, 1)
+    converge(d, repl(2, 8), ins(4, "X"), doc(p("ah")))
+  })
+
+  it("marks text inserted inside an added mark", () =>
+     converge(d, ins(4, "X"), new AddMarkStep(2, 7, schema.mark("em")),
+              doc(p("a", em("bcXdef"), "gh"))))
+
+  it("doesn't mark text inserted at the edge of a mark range", () =>
+     converge(d, new AddMarkStep(2, 7, schema.mark("em")), ins(7, "X"),
+              doc(p("a", em("bcdef"), "Xgh"))))
+
+  it("unmarks text inserted inside a removed mark", () =>
+     converge(doc(p(em("abcdefgh"))), new RemoveMarkStep(3, 6, schema.mark("em")), ins(4, "X"),
+              doc(p(em("ab"), "cXde", em("fgh")))))
+
+  it("lets the first step win conflicting marks", () => {
+    let x = schema.mark("link", {href: "x"}), y = schema.mark("link", {href: "y"})
+    converge(d, new AddMarkStep(2, 5, x), new AddMarkStep(4, 8, y),
+             doc(p("a", a({href: "x"}, "bcd"), a({href: "y"}, "efg"), "h")))
+    converge(d, new AddMarkStep(4, 6, x), new AddMarkStep(2, 8, y),
+             doc(p("a", a({href: "y"}, "bc"), a({href: "x"}, "de"), a({href: "y"}, "fg"), "h")))
+  })
+
+  it("lets adding and removing the same mark conflict", () =>
+     converge(d, new AddMarkStep(2, 5, schema.mark("em")), new RemoveMarkStep(1, 9, schema.mark("em")),
+              doc(p("a", em("bcd"), "efgh"))))
+
+  it("removes marks replaced by an addition that loses to a removal", () => {
+    let w = doc(p(a({href: "w"}, "abcd"))), x = schema.mark("link", {href: "x"})
+    converge(w, new RemoveMarkStep(1, 5, x), new AddMarkStep(3, 5, x), doc(p(a({href: "w"}, "ab"), "cd")))
+  })
+
+  it("leaves unrelated marks alone", () => {
+    let [, b1] = transformSteps(new AddMarkStep(2, 5, schema.mark("em")), new AddMarkStep(1, 9, schema.mark("strong")))
+    ist(b1.length, 1)
+    converge(d, new AddMarkStep(2, 5, schema.mark("em")), new AddMarkStep(1, 9, schema.mark("strong")),
+             doc(p(strong("a", em("bcd"), "efgh"))))
+  })
+
+  it("lets the first step win when setting the same attribute", () => {
+    let d = doc(h1("a"))
+    converge(d, new AttrStep(0, "level", 2), new AttrStep(0, "level", 3), doc(h2("a")))
+    converge(d, new AttrStep(0, "level", 3), new AttrStep(0, "level", 2), doc(h3("a")))
+    ist(transformSteps(new AttrStep(0, "level", 2), new AttrStep(0, "level", 3))[1].length, 0)
+  })
+
+  it("lets the first step win when setting the same document attribute", () => {
+    let docSchema = new Schema({
+      nodes: schema.spec.nodes.update("doc", {content: "block+", attrs: {lang: {default: "en"}}}),
+      marks: schema.spec.marks
+    })
+    let b = builders(docSchema, {p: {nodeType: "paragraph"}}), d = b.doc(b.p("a"))
+    converge(d, new DocAttrStep("lang", "nl"), new DocAttrStep("lang", "de"), b.doc({lang: "nl"}, b.p("a")))
+    converge(d, new DocAttrStep("lang", "de"), new DocAttrStep("lang", "nl"), b.doc({lang: "de"}, b.p("a")))
+  })
+
+  it("lets the first step win conflicting node marks", () => {
+    let d = doc(p("a", img(), "b")), emMark = schema.mark("em")
+    converge(d, new AddNodeMarkStep(2, emMark), new RemoveNodeMarkStep(2, emMark), doc(p("a", em(img()), "b")))
+    converge(d, new RemoveNodeMarkStep(2, emMark), new AddNodeMarkStep(2, emMark), doc(p("a", img(), "b")))
+  })
+
+  it("checks node marks against overlapping inline marks with the document", () => {
+    let d = doc(p("a", em(img()), "b")), emMark = schema.mark("em")
+    converge(d, new RemoveNodeMarkStep(2, emMark), new AddMarkStep(1, 4, emMark), doc(p("a", img(), "b")))
+    converge(d, new AddMarkStep(1, 4, emMark), new RemoveNodeMarkStep(2, emMark), doc(p(em("a", img(), "b"))))
+    ist.throws(() => transformSteps(new RemoveNodeMarkStep(2, emMark), new AddMarkStep(1, 4, emMark)), RangeError)
+  })
+
+  describe("mark updates", () => {
+    let d = doc(p(a({href: "x"}, "abcdef"), "gh"))
+    function update(from, to, href) {
+      return new Transform(d).updateMarkAttrs(from, to, schema.marks.link, {href}).steps[0]
+    }
+    let link = href => schema.mark("link", {href})
+
+    it("lets the first of two updates win", () => {
+      converge(d, update(1, 5, "y"), update(3, 7, "z"), doc(p(a({href: "y"}, "abcd"), a({href: "z"}, "ef"), "gh")))
+      converge(d, update(3, 7, "z"), update(1, 5, "y"), doc(p(a({href: "y"}, "ab"), a({href: "z"}, "cdef"), "gh")))
+    })
+
+    it("lets the first step win between an update and an added mark", () => {
+      converge(d, update(1, 5, "y"), new AddMarkStep(3, 9, link("z")),
+               doc(p(a({href: "y"}, "abcd"), a({href: "z"}, "efgh"))))
+      converge(d, new AddMarkStep(3, 9, link("z")), update(1, 5, "y"),
+               doc(p(a({href: "y"}, "ab"), a({href: "z"}, "cdefgh"))))
+    })
+
+    it("lets the first step win between an update and a removed mark", () => {
+      converge(d, update(1, 5, "y"), new RemoveMarkStep(3, 7, link("x")),
+               doc(p(a({href: "y"}, "abcd"), "efgh")))
+      converge(d, new RemoveMarkStep(3, 7, link("x")), update(1, 5, "y"),
+               doc(p(a({href: "y"}, "ab"), "cdefgh")))
+    })
+
+    it("leaves other mark types alone", () =>
+       converge(d, update(1, 5, "y"), new AddMarkStep(1, 9, schema.mark("em")),
+                doc(p(em(a({href: "y"}, "abcd"), a({href: "x"}, "ef"), "gh")))))
+
+    it("updates marks in content inserted inside an updated run", () => {
+      let step = new ReplaceStep(3, 3, new Slice(Fragment.from(schema.text("X", [link("x")])), 0, 0))
+      converge(d, step, update(1, 7, "y"), doc(p(a({href: "y"}, "abXcdef"), "gh")))
+      converge(d, update(1, 7, "y"), step, doc(p(a({href: "y"}, "abXcdef"), "gh")))
+    })
+  })
+
+  describe("replace-around steps", () => {
+    let d = doc(p("one"), p("two"))
+    let wrap = new ReplaceAroundStep(0, 5, 0, 5, new Slice(Fragment.from(schema.nodes.blockquote.create()), 0, 0), 1, true)
+
+    it("maps them when the steps don't conflict", () => {
+      converge(d, wrap, ins(7, "X"), doc(blockquote(p("one")), p("tXwo")))
+      converge(d, ins(2, "X"), wrap, doc(blockquote(p("oXne")), p("two")))
+      converge(d, wrap, new AddMarkStep(1, 4, schema.mark("em")), doc(blockquote(p(em("one"))), p("two")))
+    })
+
+    it("lets the first step win on conflicts by undoing the second", () => {
+      let [a1, b1] = transformSteps(wrap, repl(0, 5), d)
+      ist(a1.length, 2)
+      ist(b1.length, 0)
+      converge(d, wrap, repl(0, 5), doc(blockquote(p("one")), p("two")))
+      converge(d, repl(0, 5), wrap, doc(p("two")))
+    })
+
+    it("handles two replace-around steps", () => {
+      let bq = doc(blockquote(p("one")), p("two"))
+      let lift = new ReplaceAroundStep(0, 7, 1, 6, Slice.empty, 0, true)
+      let wrapInner = new ReplaceAroundStep(1, 6, 1, 6, new Slice(Fragment.from(schema.nodes.blockquote.create()), 0, 0), 1, true)
+      converge(bq, lift, wrapInner, doc(blockquote(p("one")), p("two")))
+      converge(bq, wrapInner, lift, doc(blockquote(p("one")), p("two")))
+      converge(d, wrap, wrap, doc(blockquote(p("one")), p("two")))
+    })
+
+    it("requires the document", () =>
+       ist.throws(() => transformSteps(wrap, ins(7, "X")), RangeError))
+  })
+})
+
+describe("rebaseSteps", () => {
+  function local(d, ...steps) {
+    let tr = new Transform(d)
+    steps.forEach(s => tr.step(s))
+    return {doc: tr.doc, steps: tr.steps.map((step, i) => ({step, inverted: step.invert(tr.docs[i])}))}
+  }
+
+  it("rebases local steps over remote ones", () => {
+    let d = doc(p("abcd"))
+    let {doc: current, steps} = local(d, ins(2, "X"), ins(6, "Y"))
+    let tr = new Transform(current)
+    let result = rebaseSteps(tr, steps, [ins(1, "R")])
+    ist(tr.doc, doc(p("RaXbcdY")), eq)
+    ist(result.steps.length, 2)
+    ist(result.dropped.length, 0)
+    ist(result.steps[1].index, 1)
+  })
+
+  it("reports dropped steps", () => {
+    let d = doc(p("abcd"))
+    let {doc: current, steps} = local(d, ins(3, "X"), ins(1, "Y"))
+    let tr = new Transform(current)
+    let result = rebaseSteps(tr, steps, [repl(2, 4)])
+    ist(tr.doc, doc(p("Yad")), eq)
+    ist(result.dropped.join(), "0")
+    ist(result.steps.map(s => s.index).join(), "1")
+  })
+
+  it("maps positions through the rebase losslessly", () => {
+    let d = doc(p("abcd"))
+    let {doc: current, steps} = local(d, ins(3, "XY"))
+    let tr = new Transform(current)
+    rebaseSteps(tr, steps, [ins(1, "R")])
+    // Position between X and Y in the local document
+    ist(tr.mapping.map(4), 5)
+  })
+
+  it("provides usable inverses", () => {
+    let d = doc(p("abcd"))
+    let {doc: current, steps} = local(d, repl(2, 3, "Z"))
+    let tr = new Transform(current)
+    let {steps: rebased} = rebaseSteps(tr, steps, [ins(5, "R")])
+    ist(rebased[0].inverted.apply(tr.doc).doc, doc(p("abcdR")), eq)
+  })
+})
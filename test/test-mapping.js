@@ -1,5 +1,5 @@
 const ist = require("ist")
-const {Mapping, StepMap} = require("..")
+const {Mapping, StepMap, MapResult} = require("..")
 
 function testMapping(mapping, ...cases) {
   let inverted = mapping.invert()
@@ -14,7 +14,7 @@ function mk(...args) {
   let mapping = new Mapping
   args.forEach(arg => {
     if (Array.isArray(arg)) mapping.appendMap(new StepMap(arg))
-    else for (let from in arg) mapping.setMirror(from, arg[from])
+    else for (let from in arg) mapping.setMirror(+from, arg[from])
   })
   return mapping
 }
@@ -43,4 +43,284 @@ describe("Mapping", () => {
   it("can map through an delete-insert with an insert in between", () => {
     testMapping(mk([2, 4, 0], [1, 0, 1], [3, 0, 4], {0: 2}), [0, 0], [1, 2], [4, 5], [6, 7], [7, 8])
   })
+  describe("JSON", () => {
+    function roundTrip(mapping) {
+      let json = JSON.parse(JSON.stringify(mapping.toJSON()))
+      let compact = JSON.parse(JSON.stringify(mapping.toCompactJSON()))
+      return [Mapping.fromJSON(json), Mapping.fromJSON(compact)]
+    }
+
+    it("round-trips step maps", () => {
+      let map = new StepMap([2, 3, 1, 8, 0, 4])
+      ist(StepMap.fromJSON(map.toJSON()).toString(), map.toString())
+      ist(StepMap.fromJSON(map.invert().toJSON()).toString(), map.invert().toString())
+      ist(StepMap.fromJSON(map.toCompactJSON()).toString(), map.toString())
+      ist(StepMap.fromJSON(map.invert().toCompactJSON()).toString(), map.invert().toString())
+      ist(JSON.stringify(map.invert().toCompactJSON()), "[2,3,1,8,0,4,1]")
+    })
+
+    it("round-trips mappings with mirrors", () => {
+      let mapping = mk([2, 4, 0], [1, 0, 1], [3, 0, 4], {0: 2})
+      roundTrip(mapping).forEach(copy => {
+        ist(copy.maps.length, 3)
+        ist(copy.getMirror(0), 2)
+        ist(copy.getMirror(2), 0)
+        testMapping(copy, [0, 0], [1, 2], [4, 5], [6, 7], [7, 8])
+      })
+    })
+
+    it("preserves the from/to window", () => {
+      let mapping = mk([2, 0, 4], [10, 2, 0], [0, 0, 1]).slice(1, 2)
+      let json = mapping.toJSON()
+      ist(json.from, 1)
+      ist(json.to, 2)
+      roundTrip(mapping).forEach(copy => {
+        ist(copy.from, 1)
+        ist(copy.to, 2)
+        ist(copy.map(20), 18)
+      })
+    })
+
+    it("omits defaults", () =>
+       ist(JSON.stringify(mk([1, 0, 2]).toJSON()), '{"maps":[{"ranges":[1,0,2]}]}'))
+
+    it("rejects invalid input", () => {
+      ist.throws(() => StepMap.fromJSON([1, 2]))
+      ist.throws(() => Mapping.fromJSON({maps: [[1, 0, 2]], mirror: [0]}))
+      ist.throws(() => Mapping.fromJSON(null))
+    })
+  })
+  describe("deletion info", () => {
+    function del(mapping, pos, assoc, flags) {
+      let result = mapping.mapResult(pos, assoc)
+      ist([result.deleted, result.deletedBefore, result.deletedAfter, result.deletedAcross, result.deletedInside]
+          .map(b => b ? 1 : 0).join(""), flags)
+    }
+
+    it("reports content deleted after the position", () => {
+      del(mk([2, 4, 0]), 2, 1, "10100")
+      del(mk([2, 4, 0]), 2, -1, "00100")
+    })
+
+    it("reports content deleted before the position", () => {
+      del(mk([2, 4, 0]), 6, 1, "01000")
+      del(mk([2, 4, 0]), 6, -1, "11000")
+    })
+
+    it("reports positions inside a deleted range", () =>
+       del(mk([2, 4, 0]), 4, 1, "11111"))
+
+    it("doesn't report deletions for insertions", () => {
+      del(mk([2, 0, 4]), 2, 1, "00000")
+      del(mk([2, 0, 4]), 2, -1, "00000")
+    })
+
+    it("accumulates deletions across maps", () =>
+       del(mk([2, 2, 0], [2, 3, 0]), 4, 1, "11110"))
+
+    it("ignores deletions recovered through mirrors", () =>
+       del(mk([2, 4, 0], [2, 0, 4], {0: 1}), 4, 1, "00000"))
+
+    it("keeps the meaning of the MapResult constructor's deleted argument", () => {
+      ist(new MapResult(5, true).deleted)
+      ist(!new MapResult(5).deleted)
+      ist(!new MapResult(5, false).deletedBefore)
+    })
+  })
+  describe("compose", () => {
+    function same(mapping, ...positions) {
+      let composed = mapping.compose()
+      positions.forEach(pos => {
+        for (let assoc = -1; assoc <= 1; assoc += 2) {
+          let a = composed.mapResult(pos, assoc), b = mapping.mapResult(pos, assoc)
+          ist(a.pos, b.pos)
+          ist(a.deleted, b.deleted)
+          ist(a.deletedBefore, b.deletedBefore)
+          ist(a.deletedAfter, b.deletedAfter)
+        }
+      })
+      return composed
+    }
+
+    it("combines separate changes", () => {
+      let composed = same(mk([2, 0, 4], [10, 2, 0], [20, 0, 1]), 0, 1, 2, 3, 5, 6, 8, 9, 12, 15, 20, 25)
+      ist(composed.toString(), "[2,0,4,6,2,0,18,0,1]")
+    })
+
+    it("merges overlapping changes", () => {
+      let composed = same(mk([2, 0, 4], [3, 2, 0]), 0, 1, 2, 5, 10)
+      ist(composed.toString(), "[2,0,2]")
+    })
+
+    it("merges a deletion spanning an insertion", () => {
+      let composed = same(mk([4, 0, 2], [2, 6, 0]), 0, 1, 2, 5, 7, 10)
+      ist(composed.toString(), "[2,4,0]")
+    })
+
+    it("keeps positions on the right side of a deletion followed by an insertion", () => {
+      let composed = same(mk([2, 2, 0], [2, 0, 3]), 0, 1, 2, 3, 4, 5, 8)
+      ist(composed.toString(), "[2,2,3]")
+      ist(composed.map(2, 1), 5)
+      ist(composed.map(4, -1), 2)
+    })
+
+    it("maps positions between merged changes exactly", () => {
+      same(mk([2, 2, 0], [4, 2, 0], [2, 0, 10]), 0, 1, 2, 3, 4, 5, 6, 7, 8, 10)
+      same(mk([2, 0, 4], [4, 3, 0], [1, 2, 2]), 0, 1, 2, 3, 4, 5, 6, 7, 8, 10)
+    })
+
+    it("handles inverted maps", () =>
+       same(mk([2, 0, 4]).invert(), 0, 1, 2, 6, 7, 10))
+
+    it("can compose a slice of a mapping", () => {
+      let mapping = mk([2, 0, 4], [10, 2, 0], [20, 0, 1])
+      ist(mapping.slice(1, 2).compose().toString(), "[10,2,0]")
+      ist(mapping.slice(0, 0).compose(), StepMap.empty)
+    })
+
+    it("reports deletions in the combined range", () => {
+      let composed = mk([2, 2, 0], [2, 3, 0]).compose()
+      ist(composed.toString(), "[2,5,0]")
+      ist(composed.mapResult(3).deletedInside)
+      ist(composed.mapResult(4).deletedAcross)
+      ist(composed.mapResult(2).deletedAfter)
+      ist(!composed.mapResult(8).deletedAfter)
+    })
+
+    it("keeps exact positions through JSON", () => {
+      let mapping = mk([2, 2, 0], [4, 2, 0], [2, 0, 10]), composed = mapping.compose()
+      ist(composed.map(2, 1), 12)
+      let json = JSON.parse(JSON.stringify(composed.toJSON()))
+      ist(StepMap.fromJSON(json).map(2, 1), 12)
+      ist(StepMap.fromJSON(composed.toCompactJSON()).map(2, 1), 12)
+      for (let pos = 0; pos <= 10; pos++) for (let assoc = -1; assoc <= 1; assoc += 2) {
+        let a = StepMap.fromJSON(json).mapResult(pos, assoc), b = mapping.mapResult(pos, assoc)
+        ist(a.pos, b.pos)
+        ist(a.deletedBefore, b.deletedBefore)
+        ist(a.deletedAfter, b.deletedAfter)
+      }
+    })
+
+    it("rejects malformed exact tables", () => {
+      ist.throws(() => StepMap.fromJSON({ranges: [2, 4, 0], exact: [{from: 2}]}), RangeError)
+    })
+  })
+
+  describe("mirrors", () => {
+    it("uses the first mirror registered for a map", () => {
+      let mapping = mk([2, 0, 4], [2, 4, 0], [2, 4, 0], {0: 1})
+      mapping.setMirror(0, 2)
+      ist(mapping.getMirror(0), 1)
+      ist(mapping.getMirror(1), 0)
+      ist(mapping.getMirror(2), 0)
+      ist(mapping.getMirror(3), undefined)
+    })
+
+    it("sees mirrors added to a shared mirror list", () => {
+      let mapping = mk([2, 0, 4], [2, 4, 0])
+      mapping.setMirror(0, 1)
+      let slice = mapping.slice(1)
+      ist(slice.getMirror(0), 1)
+      mapping.appendMap(new StepMap([2, 0, 1]))
+      mapping.appendMap(new StepMap([2, 1, 0]), 2)
+      ist(slice.getMirror(3), 2)
+    })
+
+    it("forgets mirrors dropped by truncate", () => {
+      let mapping = mk([2, 0, 4], [2, 4, 0], {0: 1})
+      ist(mapping.getMirror(0), 1)
+      mapping.truncate(1)
+      ist(mapping.getMirror(0), undefined)
+      mapping.appendMap(new StepMap([3, 0, 1]), 0)
+      ist(mapping.getMirror(0), 1)
+    })
+  })
+
+  describe("trace", () => {
+    it("records each map a position passes through", () => {
+      let mapping = mk([2, 0, 4], [5, 2, 0])
+      let trace = mapping.trace(3)
+      ist(trace.length, 2)
+      ist(trace[0].from, 3)
+      ist(trace[0].to, 7)
+      ist(trace[0].range, null)
+      ist(trace[1].from, 7)
+      ist(trace[1].to, 5)
+      ist(trace[1].range.oldStart, 5)
+      ist(trace[1].range.newEnd, 5)
+      ist(trace[1].result.deletedBefore)
+    })
+
+    it("ends where map ends", () => {
+      let mapping = mk([2, 0, 4], [1, 3, 0], [0, 0, 2])
+      for (let pos = 0; pos < 8; pos++) for (let assoc = -1; assoc <= 1; assoc += 2) {
+        let trace = mapping.trace(pos, assoc)
+        ist(trace[trace.length - 1].to, mapping.map(pos, assoc))
+      }
+    })
+
+    it("shows recovery through mirrors", () => {
+      let mapping = mk([2, 4, 0], [1, 0, 1], [2, 0, 4], {0: 2})
+      let trace = mapping.trace(4)
+      ist(trace.length, 1)
+      ist(trace[0].mirror, 2)
+      ist(trace[0].to, 4)
+    })
+
+    it("can format a trace", () => {
+      let mapping = mk([2, 0, 4], [5, 2, 0])
+      ist(Mapping.formatTrace(mapping.trace(6)),
+          "0 [2,0,4]: 6 → 10\n1 [5,2,0]: 10 → 8")
+      ist(Mapping.formatTrace(mapping.trace(2, -1)),
+          "0 [2,0,4]: 2 → 2 in 2-2 → 2-6\n1 [5,2,0]: 2 → 2")
+      ist(Mapping.formatTrace(mk([2, 4, 0]).invert().trace(2)), "0 -[2,4,0]: 2 → 6 in 2-2 → 2-6")
+      ist(Mapping.formatTrace(mk([2, 4, 0]).trace(3)), "0 [2,4,0]: 3 → 2 in 2-6 → 2-2 (deleted before, after, position deleted)")
+    })
+  })
+
+  describe("recovery", () => {
+    it("recovers positions in maps with more than 65535 ranges", () => {
+      let ranges = []
+      for (let i = 0; i < 70000; i++) ranges.push(i * 3, 2, 0)
+      let map = new StepMap(ranges)
+      let mapping = new Mapping([map, map.invert()])
+      mapping.setMirror(0, 1)
+      ist(mapping.map(66000 * 3 + 1), 66000 * 3 + 1)
+      ist(mapping.map(3 + 1), 3 + 1)
+    })
+
+    it("recovers positions at large offsets", () => {
+      let size = Math.pow(2, 38), map = new StepMap([0, size, 0])
+      let mapping = new Mapping([map, map.invert()])
+      mapping.setMirror(0, 1)
+      ist(mapping.map(size - 5), size - 5)
+    })
+  })
+
+  describe("mirrored histories", () => {
+    // A history in which every map is mirrored, as an undo history
+    // does. bench/mirror.js times the same operations on long ones.
+    function history(size) {
+      let mapping = new Mapping
+      for (let i = 0; i < size / 2; i++) {
+        let map = new StepMap([i % 50, 0, 1])
+        mapping.appendMap(map)
+        mapping.appendMap(map.invert(), mapping.maps.length - 1)
+      }
+      return mapping
+    }
+
+    it("keeps mirrors when appending mirrored mappings", () => {
+      let mapping = new Mapping([new StepMap([0, 0, 1])])
+      mapping.appendMapping(history(100))
+      for (let i = 1; i <= 100; i += 2) ist(mapping.getMirror(i), i + 1)
+      ist(mapping.map(10), 11)
+    })
+
+    it("keeps mirrors when inverting mirrored mappings", () => {
+      let inverse = history(100).invert()
+      for (let i = 0; i < 100; i += 2) ist(inverse.getMirror(i), i + 1)
+      ist(inverse.map(10), 10)
+    })
+  })
 })
@@ -0,0 +1,129 @@
+const {StepMap, Mapping, RangeSet} = require("..")
+const ist = require("ist")
+
+function ranges(set) {
+  return set.ranges.map(r => r.from + "-" + r.to).join(" ")
+}
+
+function mapOneByOne(spec, mapping) {
+  let expected = []
+  spec.forEach(r => {
+    let from = mapping.mapResult(r.from, r.inclusiveStart ? -1 : 1)
+    let to = mapping.mapResult(r.to, r.inclusiveEnd ? 1 : -1)
+    let end = Math.max(from.pos, to.pos)
+    let deleted = r.from == r.to ? from.deleted : from.pos >= end && (from.deletedAfter || to.deletedBefore)
+    if (!deleted || r.onDelete == "keep") expected.push({from: from.pos, to: end})
+  })
+  return ranges(RangeSet.create(expected))
+}
+
+describe("RangeSet", () => {
+  it("keeps ranges sorted", () => {
+    let set = RangeSet.create([{from: 5, to: 8}, {from: 1, to: 10}, {from: 1, to: 2}])
+    ist(ranges(set), "1-2 1-10 5-8")
+    ist(ranges(set.add([{from: 3, to: 3}])), "1-2 1-10 3-3 5-8")
+    ist(ranges(set), "1-2 1-10 5-8")
+  })
+
+  it("rejects invalid ranges", () => {
+    ist.throws(() => RangeSet.create([{from: 4, to: 2}]))
+  })
+
+  it("can remove ranges", () => {
+    let set = RangeSet.create([{from: 1, to: 2, value: "a"}, {from: 3, to: 4, value: "b"}])
+    ist(ranges(set.remove(r => r.value == "a")), "3-4")
+    ist(set.remove(() => false), set)
+    ist(set.remove(() => true), RangeSet.empty)
+  })
+
+  it("finds ranges by position", () => {
+    let set = RangeSet.create([{from: 0, to: 20, value: "a"}, {from: 2, to: 4, value: "b"},
+                               {from: 6, to: 8, value: "c"}, {from: 10, to: 10, value: "d"}])
+    ist(set.find(5).map(r => r.value).join(), "a")
+    ist(set.find(4).map(r => r.value).join(), "a,b")
+    ist(set.find(3, 6).map(r => r.value).join(), "a,b,c")
+    ist(set.find(10).map(r => r.value).join(), "a,d")
+    ist(set.find(21).length, 0)
+  })
+
+  it("maps ranges through a step map", () => {
+    let set = RangeSet.create([{from: 1, to: 3}, {from: 5, to: 7}])
+    ist(ranges(set.map(new StepMap([4, 0, 2]))), "1-3 7-9")
+    ist(ranges(set.map(new StepMap([2, 0, 2]))), "1-5 7-9")
+  })
+
+  it("respects inclusive ends", () => {
+    let set = RangeSet.create([{from: 2, to: 4, value: "x"}])
+    let incl = RangeSet.create([{from: 2, to: 4, inclusiveStart: true, inclusiveEnd: true}])
+    let map = new Mapping([new StepMap([4, 0, 1]), new StepMap([2, 0, 1])])
+    ist(ranges(set.map(map)), "3-5")
+    ist(ranges(incl.map(map)), "2-6")
+  })
+
+  it("drops ranges whose content was deleted", () => {
+    let set = RangeSet.create([{from: 2, to: 4, value: "a"}, {from: 3, to: 5, value: "b", onDelete: "keep"},
+                               {from: 8, to: 9, value: "c"}, {from: 3, to: 3, value: "d"}])
+    let mapped = set.map(new StepMap([1, 4, 0]))
+    ist(ranges(mapped), "1-1 4-5")
+    ist(mapped.ranges[0].value, "b")
+  })
+
+  it("keeps ranges that were only partially deleted", () => {
+    let set = RangeSet.create([{from: 2, to: 6}])
+    ist(ranges(set.map(new StepMap([4, 4, 0]))), "2-4")
+  })
+
+  it("returns the same set when nothing changes", () => {
+    let set = RangeSet.create([{from: 2, to: 6}])
+    ist(set.map(new StepMap([10, 0, 2])), set)
+  })
+
+  it("produces the same result as mapping ranges one by one", () => {
+    let spec = [], maps = []
+    for (let i = 0; i < 40; i++) {
+      let from = (i * 7) % 50, to = from + (i * 3) % 9
+      spec.push({from, to, inclusiveStart: i % 3 == 0, inclusiveEnd: i % 2 == 0, onDelete: i % 4 ? "drop" : "keep"})
+    }
+    for (let i = 0; i < 6; i++) maps.push(new StepMap([i * 5, i % 3, (i * 2) % 5, 20 + i * 3, 4, i % 2]))
+    let mapping = new Mapping(maps.concat(maps[2].invert()))
+    ist(ranges(RangeSet.create(spec).map(mapping)), mapOneByOne(spec, mapping))
+  })
+
+  it("keeps endpoints ordered across replacements in a mapping", () => {
+    let spec = [{from: 2, to: 7}, {from: 6, to: 12}]
+    let mapping = new Mapping([new StepMap([5, 4, 1]), new StepMap([5, 0, 2])])
+    ist(ranges(RangeSet.create(spec).map(mapping)), mapOneByOne(spec, mapping))
+    ist(ranges(RangeSet.create(spec).map(mapping)), "2-5 8-11")
+  })
+
+  it("matches one-by-one mapping for random replacements", () => {
+    let seed = 1
+    let rand = n => (seed = (seed * 16807) % 2147483647) % n
+    for (let run = 0; run < 2000; run++) {
+      let spec = [], maps = []
+      for (let i = 0; i < 6; i++) {
+        let from = rand(20)
+        spec.push({from, to: from + rand(6), inclusiveStart: rand(2) == 0, inclusiveEnd: rand(2) == 0})
+      }
+      for (let i = 0, size = 30; i < 3; i++) {
+        let from = rand(size), del = rand(Math.min(5, size - from) + 1), ins = rand(4)
+        maps.push(new StepMap([from, del, ins]))
+        size += ins - del
+      }
+      let mapping = new Mapping(maps)
+      ist(ranges(RangeSet.create(spec).map(mapping)), mapOneByOne(spec, mapping))
+    }
+  })
+
+  it("maps exactly through composed maps", () => {
+    let mapping = new Mapping([new StepMap([2, 2, 0]), new StepMap([2, 0, 3])])
+    let set = RangeSet.create([{from: 2, to: 2, inclusiveStart: true, inclusiveEnd: true}, {from: 4, to: 6}])
+    ist(ranges(set.map(mapping.compose())), ranges(set.map(mapping)))
+  })
+
+  it("falls back to mapping positions individually when there are mirrors", () => {
+    let mapping = new Mapping([new StepMap([2, 0, 4]), new StepMap([2, 4, 0])])
+    mapping.setMirror(0, 1)
+    ist(ranges(RangeSet.create([{from: 1, to: 3}]).map(mapping)), "1-3")
+  })
+})
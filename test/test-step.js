@@ -1,7 +1,7 @@
 const {Slice, Fragment} = require("prosemirror-model")
-const {ReplaceStep, AddMarkStep, RemoveMarkStep} = require("..")
+const {ReplaceStep, ReplaceAroundStep, AddMarkStep, RemoveMarkStep, StepResult, Transform, TransformError} = require("..")
 const ist = require("ist")
-const {eq, schema, doc, p} = require("prosemirror-test-builder")
+const {eq, schema, doc, p, blockquote} = require("prosemirror-test-builder")
 
 const testDoc = doc(p("foobar"))
 
@@ -69,4 +69,87 @@ describe("Step", () => {
 
     it("doesn't merge removing separate styles", no(1, 2, "-em", 3, 4, "-em"))
   })
+  describe("failure", () => {
+    it("describes invalid replacements", () => {
+      let step = new ReplaceStep(1, 1, new Slice(Fragment.from(schema.node("paragraph")), 0, 0))
+      let result = step.apply(testDoc)
+      ist(result.failed, result.failure.message)
+      ist(result.failure.code, "replace")
+      ist(result.failure.step, step)
+      ist(result.failure.from, 1)
+      ist(result.failure.to, 1)
+      ist(result.failure.replaceError.message, result.failed)
+    })
+
+    it("describes structure overwrites", () => {
+      let result = new ReplaceStep(1, 3, Slice.empty, true).apply(testDoc)
+      ist(result.failure.code, "overwrite")
+      ist(result.failure.replaceError, null)
+    })
+
+    it("describes non-flat gaps", () => {
+      let d = doc(blockquote(p("one")), p("two"))
+      let result = new ReplaceAroundStep(0, 12, 2, 8, Slice.empty, 0).apply(d)
+      ist(result.failure.code, "gapNotFlat")
+      ist(result.failure.from, 2)
+      ist(result.failure.to, 8)
+    })
+
+    it("attaches the failure to transform errors", () => {
+      let step = new ReplaceStep(1, 3, Slice.empty, true), error
+      try { new Transform(testDoc).step(step) } catch (e) { error = e }
+      ist(error instanceof TransformError)
+      ist(error.failure.code, "overwrite")
+      ist(error.failure.step, step)
+    })
+
+    it("fills in the step for failures that don't provide it", () => {
+      let step = new ReplaceStep(1, 3, Slice.empty)
+      step.apply = () => StepResult.fail("nope")
+      let result = new Transform(testDoc).maybeStep(step)
+      ist(result.failure.code, "failed")
+      ist(result.failure.step, step)
+    })
+  })
+  describe("applyChecked", () => {
+    let d = doc(p("a"), p("b"))
+    function insert(node) { return new ReplaceStep(3, 3, new Slice(Fragment.from(node), 0, 0)) }
+
+    it("accepts valid steps", () => {
+      let step = insert(schema.node("paragraph", null, [schema.text("x")]))
+      ist(step.applyChecked(d).doc, step.apply(d).doc, eq)
+    })
+
+    it("rejects invalid nested content", () => {
+      let step = insert(schema.nodes.blockquote.create(null, [schema.text("x")]))
+      ist(!step.apply(d).failed)
+      let result = step.applyChecked(d)
+      ist(result.failure.code, "invalidContent")
+      ist(result.failure.from, 4)
+      ist(result.failure.step, step)
+    })
+
+    it("rejects disallowed marks", () => {
+      let step = insert(schema.nodes.code_block.create(null, [schema.text("x", [schema.mark("em")])]))
+      ist(!step.apply(d).failed)
+      ist(step.applyChecked(d).failure.code, "invalidMark")
+    })
+
+    it("only checks the nodes around the changed range", () => {
+      // The first blockquote's content is invalid, but the step doesn't touch it
+      let bad = doc(schema.nodes.blockquote.create(null, [schema.text("x")]), p("a"), p("b"))
+      let step = new ReplaceStep(7, 7, new Slice(Fragment.from(schema.text("y")), 0, 0))
+      ist(!step.applyChecked(bad).failed)
+      ist(!new ReplaceStep(3, 3, new Slice(Fragment.from(p("y")), 0, 0)).applyChecked(bad).failed)
+    })
+
+    it("is used by strict transforms", () => {
+      let tr = new Transform(d), step = insert(schema.nodes.blockquote.create(null, [schema.text("x")]))
+      tr.strict = true
+      ist(tr.maybeStep(step).failure.code, "invalidContent")
+      ist(tr.steps.length, 0)
+      tr.strict = false
+      ist(!tr.maybeStep(step).failed)
+    })
+  })
 })
@@ -1,5 +1,5 @@
 const {Schema, Slice} = require("prosemirror-model")
-const {canSplit, liftTarget, findWrapping, Transform} = require("..")
+const {canSplit, liftTarget, findWrapping, canUnwrap, sinkTarget, Transform} = require("..")
 const {eq, schema: baseSchema} = require("prosemirror-test-builder")
 const ist = require("ist")
 
@@ -101,6 +101,28 @@ describe("liftTarget", () => {
   it("can't in a section head", no(86))
 })
 
+describe("canUnwrap", () => {
+  function yes(pos, type) { return () => ist(canUnwrap(doc, pos, schema.nodes[type])) }
+  function no(pos, type) { return () => ist(!canUnwrap(doc, pos, schema.nodes[type])) }
+
+  it("can unwrap a quote", yes(77, "quote"))
+  it("can't unwrap a section into a section that has a head", no(50, "sect"))
+  it("can't unwrap the top section into the doc", no(20, "sect"))
+  it("can't unwrap a node that isn't an ancestor", no(8, "quote"))
+})
+
+describe("sinkTarget", () => {
+  function topRange(pos) {
+    return doc.resolve(pos).blockRange(undefined, node => node.type == schema.nodes.doc)
+  }
+
+  it("can't at the start of the doc", () => ist(sinkTarget(range(3)), null))
+  it("can't sink a paragraph into a heading", () => ist(sinkTarget(range(8)), null))
+  it("can sink a section into the previous section", () => ist(sinkTarget(topRange(84)).length, 0))
+  it("can't sink the closing into a section", () => ist(sinkTarget(topRange(95)), null))
+  it("can't sink the first node of a quote", () => ist(sinkTarget(range(77)), null))
+})
+
 describe("findWrapping", () => {
   function yes(pos, end, type) {
     return () => { let r = range(pos, end); ist(findWrapping(r, schema.nodes[type])) }
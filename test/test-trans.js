@@ -1,7 +1,8 @@
-const {schema, doc, blockquote, pre, h1, h2, p, li, ol, ul, em,
+const {schema, doc, blockquote, pre, h1, h2, h3, p, li, ol, ul, em,
        strong, code, a, img, br, hr, eq, builders} = require("prosemirror-test-builder")
 const {testTransform} = require("./trans")
-const {Transform, liftTarget, findWrapping} = require("..")
+const {Transform, TransformError, AttrStep, MoveStep, ReplaceStep, StepResult, Mapping, liftTarget, findWrapping,
+       canUnwrap, sinkTarget, rebaseSteps} = require("..")
 const {Slice, Fragment, Schema} = require("prosemirror-model")
 const ist = require("ist")
 
@@ -120,6 +121,102 @@ describe("Transform", () => {
     })
   })
 
+  describe("updateMarkAttrs", () => {
+    function update(doc, attrs, expect) {
+      let tr = new Transform(doc).updateMarkAttrs(doc.tag.a, doc.tag.b, schema.marks.link, attrs)
+      testTransform(tr, expect)
+      return tr
+    }
+
+    it("can change a link's attributes", () => {
+      let tr = update(doc(p("<a>a ", a("link<b>"))), {href: "bar"},
+                      doc(p("a ", a({href: "bar"}, "link"))))
+      ist(tr.steps.length, 1)
+    })
+
+    it("updates several text runs in one step", () => {
+      let tr = update(doc(p(a({href: "x"}, "<a>one"), " ", a({href: "y"}, em("two")), "<b>")), {href: "z"},
+                      doc(p(a({href: "z"}, "one"), " ", a({href: "z"}, em("two")))))
+      ist(tr.steps.length, 1)
+      ist(tr.steps[0].invert(tr.before).runs.length, 2)
+    })
+
+    it("only touches the given range", () =>
+       update(doc(p(a("li<a>n<b>k"))), {href: "bar"},
+              doc(p(a("li"), a({href: "bar"}, "n"), a("k")))))
+
+    it("keeps attributes that aren't given", () => {
+      let tr = update(doc(p(a({href: "x", title: "T"}, "<a>one"), " ", a({href: "y"}, "two<b>"))), {href: "z"},
+                      doc(p(a({href: "z", title: "T"}, "one"), " ", a({href: "z"}, "two"))))
+      ist(tr.steps[0].runs.map(run => run.attrs.title).join(), "T,")
+    })
+
+    it("does nothing when there are no matching marks", () =>
+       ist(new Transform(doc(p("foo"))).updateMarkAttrs(1, 4, schema.marks.link, {href: "x"}).steps.length, 0))
+
+    it("merges adjacent and overlapping updates", () => {
+      let d = doc(p(a("foobar")))
+      let one = new Transform(d).updateMarkAttrs(1, 4, schema.marks.link, {href: "a"})
+      let two = new Transform(one.doc).updateMarkAttrs(3, 7, schema.marks.link, {href: "b"})
+      let merged = one.steps[0].merge(two.steps[0])
+      ist(merged)
+      ist(merged.runs.length, 2)
+      ist(merged.apply(d).doc, two.doc, eq)
+    })
+  })
+
+  describe("addNodeMark", () => {
+    let blockSchema = new Schema({
+      nodes: schema.spec.nodes.update("doc", {content: "block+", marks: "_"}),
+      marks: schema.spec.marks
+    })
+    let b = builders(blockSchema, {p: {nodeType: "paragraph"}})
+
+    it("can add a mark to an inline node", () => {
+      let d = doc(p("foo<a>", img, "bar"))
+      testTransform(new Transform(d).addNodeMark(d.tag.a, schema.mark("em")),
+                    doc(p("foo", em(img), "bar")))
+    })
+
+    it("can add a mark to a block node", () => {
+      let d = b.doc(b.p("one"), "<a>", b.p("two"))
+      let tr = new Transform(d).addNodeMark(d.tag.a, blockSchema.mark("em"))
+      testTransform(tr, d.copy(d.content.replaceChild(1, d.child(1).mark([blockSchema.mark("em")]))))
+      ist(tr.mapping.map(d.tag.a + 1), d.tag.a + 1)
+    })
+
+    it("inverts to the replaced mark when the new one excludes it", () => {
+      let d = doc(p("foo<a>", a(img), "bar"))
+      testTransform(new Transform(d).addNodeMark(d.tag.a, schema.mark("link", {href: "x"})),
+                    doc(p("foo", a({href: "x"}, img), "bar")))
+    })
+
+    it("is dropped when its node is deleted", () => {
+      let d = doc(p("foo<a>", img, "bar"))
+      let step = new Transform(d).addNodeMark(d.tag.a, schema.mark("em")).steps[0]
+      ist(step.map(new Transform(d).delete(d.tag.a, d.tag.a + 1).mapping), null)
+    })
+  })
+
+  describe("removeNodeMark", () => {
+    it("can remove a mark from an inline node", () => {
+      let d = doc(p("foo<a>", em(img), "bar"))
+      testTransform(new Transform(d).removeNodeMark(d.tag.a, schema.mark("em")),
+                    doc(p("foo", img, "bar")))
+    })
+
+    it("can remove a mark by type", () => {
+      let d = doc(p("foo<a>", a(img), "bar"))
+      testTransform(new Transform(d).removeNodeMark(d.tag.a, schema.marks.link),
+                    doc(p("foo", img, "bar")))
+    })
+
+    it("does nothing when the node doesn't have a mark of the type", () => {
+      let d = doc(p("foo<a>", img, "bar"))
+      ist(new Transform(d).removeNodeMark(d.tag.a, schema.marks.em).steps.length, 0)
+    })
+  })
+
   describe("insert", () => {
     function ins(doc, nodes, expect) {
       testTransform(new Transform(doc).insert(doc.tag.a, nodes), expect)
@@ -183,6 +280,99 @@ describe("Transform", () => {
            doc(pre("fo"), p(em("ar")))))
   })
 
+  describe("move", () => {
+    function move(doc, from, to, target, expect) {
+      testTransform(new Transform(doc).move(from, to, target), expect)
+    }
+
+    it("can move a block forward", () =>
+       move(doc(p("o<a>ne"), p("t<b>wo"), p("three")), 0, 5, 10,
+            doc(p("t<b>wo"), p("o<a>ne"), p("three"))))
+
+    it("can move a block backward", () =>
+       move(doc(p("o<a>ne"), p("two"), p("th<b>ree")), 10, 17, 0,
+            doc(p("th<b>ree"), p("o<a>ne"), p("two"))))
+
+    it("can move inline content", () =>
+       move(doc(p("ab<a>cdef<b>g")), 2, 4, 6,
+            doc(p("adeb<a>cf<b>g"))))
+
+    it("keeps positions inside moved content", () => {
+      let tr = new Transform(doc(p("one"), p("two"))).move(0, 5, 10)
+      ist(tr.mapping.map(2), 7)
+      ist(tr.mapping.map(0), 5)
+      ist(tr.mapping.map(5, -1), 10)
+      ist(tr.mapping.map(0, -1), 0)
+      ist(tr.mapping.mapResult(3).deleted, false)
+      ist(tr.mapping.invert().map(7), 2)
+    })
+
+    it("rejects targets inside the moved range", () =>
+       ist.throws(() => new Transform(doc(p("one"), p("two"))).move(0, 10, 6), RangeError))
+
+    it("fails when the content doesn't fit at the target", () =>
+       ist.throws(() => new Transform(doc(p("one"), p("two"))).move(0, 5, 7), TransformError))
+
+    it("can be mapped through other changes", () => {
+      let d = doc(p("one"), p("two")), step = new MoveStep(0, 5, 10)
+      let tr = new Transform(d).insert(0, schema.node("paragraph", null, [schema.text("x")]))
+      let mapped = step.map(tr.mapping)
+      ist(mapped.from, 3)
+      ist(mapped.target, 13)
+      tr.step(mapped)
+      ist(tr.doc, doc(p("x"), p("two"), p("one")), eq)
+      ist(step.map(new Transform(d).delete(0, 5).mapping), null)
+    })
+
+    it("can serialize its map", () => {
+      let map = new Transform(doc(p("one"), p("two"))).move(0, 5, 10).mapping
+      let copy = Mapping.fromJSON(JSON.parse(JSON.stringify(map.toCompactJSON())))
+      ist(copy.map(2), 7)
+      ist(copy.maps[0].invert().map(7), 2)
+    })
+  })
+
+  describe("replaceAll", () => {
+    function repl(doc, pattern, replacement, expect, options) {
+      testTransform(new Transform(doc).replaceAll(pattern, replacement, options), expect)
+    }
+
+    it("replaces all matches", () =>
+       repl(doc(p("one two one"), p("<a>one")), "one", "three",
+            doc(p("three two three"), p("<a>three"))))
+
+    it("matches across text nodes and keeps marks", () =>
+       repl(doc(p("a foo", em("bar"), " b")), /foobar/, "xyzuvw",
+            doc(p("a xyz", em("uvw"), " b"))))
+
+    it("extends the last mark over longer replacements", () =>
+       repl(doc(p(strong("ab"), "c")), /b/g, "xyz",
+            doc(p(strong("axyz"), "c"))))
+
+    it("supports group references", () =>
+       repl(doc(p("2020-01-05")), /(\d+)-(\d+)-(\d+)/, "$3/$2/$1 ($&, $$)",
+            doc(p("05/01/2020 (2020-01-05, $)"))))
+
+    it("supports replacement functions", () =>
+       repl(doc(p("a1 b22")), /\d+/g, m => String(m[0].length),
+            doc(p("a1 b2"))))
+
+    it("can delete matches", () =>
+       repl(doc(p("a--b--c")), "--", "", doc(p("abc"))))
+
+    it("escapes string patterns", () =>
+       repl(doc(p("a.b.c")), ".", "!", doc(p("a!b!c"))))
+
+    it("doesn't match across inline nodes", () =>
+       repl(doc(p("ab", img, "cd")), /bc/, "X", doc(p("ab", img, "cd"))))
+
+    it("respects the given range", () =>
+       repl(doc(p("aaa"), p("aaa")), "a", "b", doc(p("abb"), p("baa")), {from: 2, to: 7}))
+
+    it("maps adjacent matches correctly", () =>
+       repl(doc(p("xxx")), "x", "yy", doc(p("yyyyyy"))))
+  })
+
   describe("join", () => {
     function join(doc, expect) {
       testTransform(new Transform(doc).join(doc.tag.a), expect)
@@ -311,6 +501,106 @@ describe("Transform", () => {
             doc(ul(li(p("a"))), p("b<a>"), "<1>")))
   })
 
+  describe("unwrap", () => {
+    function unwrap(doc, type, expect) {
+      let pos = doc.tag.b == null ? doc.tag.a : doc.resolve(doc.tag.a).blockRange(doc.resolve(doc.tag.b))
+      testTransform(new Transform(doc).unwrap(pos, schema.nodes[type]), expect)
+    }
+
+    it("can remove a wrapper", () =>
+       unwrap(doc(blockquote(p("<a>one"), p("two"))), "blockquote",
+              doc(p("<a>one"), p("two"))))
+
+    it("can remove a wrapper around intermediate nodes", () =>
+       unwrap(doc(p("x"), blockquote(ul(li(p("<a>one")))), p("y")), "blockquote",
+              doc(p("x"), ul(li(p("<a>one"))), p("y"))))
+
+    it("picks the nearest ancestor of the given type", () =>
+       unwrap(doc(blockquote(blockquote(p("<a>one")))), "blockquote",
+              doc(blockquote(p("<a>one")))))
+
+    it("splits the wrapper around a range", () =>
+       unwrap(doc(blockquote(p("one"), p("<a>two<b>"), p("three"))), "blockquote",
+              doc(blockquote(p("one")), p("<a>two<b>"), blockquote(p("three")))))
+
+    it("can unwrap the start of a wrapper", () =>
+       unwrap(doc(blockquote(p("<a>one"), p("two<b>"), p("three"))), "blockquote",
+              doc(p("<a>one"), p("two<b>"), blockquote(p("three")))))
+
+    it("can unwrap a range from a higher ancestor", () =>
+       unwrap(doc(blockquote(p("one"), ul(li(p("<a>two")), li(p("three<b>"))))), "blockquote",
+              doc(blockquote(p("one")), ul(li(p("<a>two")), li(p("three<b>"))))))
+
+    it("refuses to unwrap when the parent can't hold the content", () => {
+      let d = doc(ul(li(p("one"))))
+      ist(canUnwrap(d, 3, schema.nodes.list_item), false)
+      ist.throws(() => new Transform(d).unwrap(3, schema.nodes.list_item), RangeError)
+    })
+
+    it("refuses to unwrap without a matching ancestor", () => {
+      let d = doc(p("one"))
+      ist(canUnwrap(d, 2, schema.nodes.blockquote), false)
+      ist.throws(() => new Transform(d).unwrap(2, schema.nodes.blockquote), RangeError)
+    })
+  })
+
+  describe("sink", () => {
+    function range(doc) {
+      let $from = doc.resolve(doc.tag.a), $to = doc.resolve(doc.tag.b == null ? doc.tag.a : doc.tag.b)
+      return $from.blockRange($to, node => node.type == schema.nodes.bullet_list || node.type == schema.nodes.ordered_list) ||
+        $from.blockRange($to)
+    }
+    function sink(doc, expect, options) {
+      testTransform(new Transform(doc).sink(range(doc), options), expect)
+    }
+
+    it("can sink a list item into the previous one", () =>
+       sink(doc(ul(li(p("one")), li(p("<a>two")))),
+            doc(ul(li(p("one"), ul(li(p("<a>two"))))))))
+
+    it("creates a nested list of the same type", () =>
+       sink(doc(ol(li(p("one")), li(p("<a>two")))),
+            doc(ol(li(p("one"), ol(li(p("<a>two"))))))))
+
+    it("keeps the items after the range in place", () =>
+       sink(doc(ul(li(p("one")), li(p("<a>two")), li(p("three")))),
+            doc(ul(li(p("one"), ul(li(p("<a>two")))), li(p("three"))))))
+
+    it("can sink multiple items", () =>
+       sink(doc(ul(li(p("one")), li(p("<a>two")), li(p("three<b>")))),
+            doc(ul(li(p("one"), ul(li(p("<a>two")), li(p("three<b>"))))))))
+
+    it("appends to an existing nested list", () =>
+       sink(doc(ul(li(p("one"), ul(li(p("a")))), li(p("<a>two")))),
+            doc(ul(li(p("one"), ul(li(p("a")), li(p("<a>two"))))))))
+
+    it("can create a new nested list when join is disabled", () =>
+       sink(doc(ul(li(p("one"), ul(li(p("a")))), li(p("<a>two")))),
+            doc(ul(li(p("one"), ul(li(p("a"))), ul(li(p("<a>two")))))),
+            {join: false}))
+
+    it("can sink a paragraph into a blockquote without wrapping", () =>
+       sink(doc(blockquote(p("one")), p("<a>two"), p("three")),
+            doc(blockquote(p("one"), p("<a>two")), p("three"))))
+
+    it("uses the given wrappers", () =>
+       sink(doc(blockquote(p("one")), p("<a>two")),
+            doc(blockquote(p("one"), ol(li(p("<a>two"))))),
+            {wrappers: [{type: schema.nodes.ordered_list}, {type: schema.nodes.list_item}]}))
+
+    it("refuses to sink a range without a previous sibling", () => {
+      let d = doc(ul(li(p("<a>one")), li(p("two"))))
+      ist(sinkTarget(range(d)), null)
+      ist.throws(() => new Transform(d).sink(range(d)), RangeError)
+    })
+
+    it("refuses to sink into a textblock", () => {
+      let d = doc(p("one"), p("<a>two"))
+      ist(sinkTarget(range(d)), null)
+      ist.throws(() => new Transform(d).sink(range(d)), RangeError)
+    })
+  })
+
   describe("wrap", () => {
     function wrap(doc, expect, type, attrs) {
       let range = doc.resolve(doc.tag.a).blockRange(doc.resolve(doc.tag.b || doc.tag.a))
@@ -387,6 +677,85 @@ describe("Transform", () => {
             "code_block"))
   })
 
+  describe("setNodeType", () => {
+    let ts = new Schema({
+      nodes: schema.spec.nodes.append({
+        aside: {content: "block+", group: "block", attrs: {kind: {default: "note"}}},
+        table: {content: "table_row+", group: "block"},
+        table_row: {content: "table_cell+"},
+        table_cell: {content: "paragraph+"},
+        grid: {content: "grid_row+", group: "block", attrs: {gap: {default: 0}}},
+        grid_row: {content: "grid_cell+"},
+        grid_cell: {content: "block+", attrs: {span: {default: 1}}}
+      }),
+      marks: schema.spec.marks
+    })
+    let t = builders(ts, {p: {nodeType: "paragraph"}, ul: {nodeType: "bullet_list"}, ol: {nodeType: "ordered_list"},
+                          li: {nodeType: "list_item"}, tr: {nodeType: "table_row"}, td: {nodeType: "table_cell"},
+                          row: {nodeType: "grid_row"}, cell: {nodeType: "grid_cell"}})
+
+    function setType(doc, type, attrs, expect) {
+      let range = doc.resolve(doc.tag.a).blockRange(doc.resolve(doc.tag.b))
+      testTransform(new Transform(doc).setNodeType(range, ts.nodes[type], attrs), expect)
+    }
+
+    it("can turn a bullet list into an ordered list", () =>
+       setType(t.doc("<a>", t.ul(t.li(t.p("o<x>ne")), t.li(t.p("two"))), "<b>"), "ordered_list", null,
+               t.doc("<a>", t.ol(t.li(t.p("o<x>ne")), t.li(t.p("two"))), "<b>")))
+
+    it("can set attributes", () =>
+       setType(t.doc("<a>", t.blockquote(t.p("h<x>i")), "<b>"), "aside", {kind: "warning"},
+               t.doc("<a>", t.aside({kind: "warning"}, t.p("h<x>i")), "<b>")))
+
+    it("converts descendants", () =>
+       setType(t.doc("<a>", t.table(t.tr(t.td(t.p("a")), t.td(t.p("b"))), t.tr(t.td(t.p("c")), t.td(t.p("d")))), "<b>"), "grid", null,
+               t.doc(t.grid(t.row(t.cell(t.p("a")), t.cell(t.p("b"))), t.row(t.cell(t.p("c")), t.cell(t.p("d")))))))
+
+    it("keeps positions in converted cells in place", () =>
+       setType(t.doc("<a>", t.table(t.tr(t.td(t.p("ab<x>c"), t.p("d<y>")))), "<b>"), "grid", null,
+               t.doc("<a>", t.grid(t.row(t.cell(t.p("ab<x>c"), t.p("d<y>")))), "<b>")))
+
+    it("clears marks that aren't allowed in converted nodes", () =>
+       setType(t.doc("<a>", t.p(t.em("a<x>b"), "c"), "<b>"), "code_block", null,
+               t.doc("<a>", t.code_block("a<x>bc"), "<b>")))
+
+    it("can convert multiple nodes", () =>
+       setType(t.doc("<a>", t.blockquote(t.p("a")), t.blockquote(t.p("b")), "<b>"), "aside", null,
+               t.doc("<a>", t.aside(t.p("a")), t.aside(t.p("b")), "<b>")))
+
+    it("wraps children when they can't be converted", () =>
+       setType(t.doc("<a>", t.blockquote(t.p("a<x>")), "<b>"), "bullet_list", null,
+               t.doc("<a>", t.ul(t.li(t.p("a<x>"))), "<b>")))
+
+    it("wraps several children", () =>
+       setType(t.doc("<a>", t.blockquote(t.p("a"), t.p("b")), "<b>"), "bullet_list", null,
+               t.doc("<a>", t.ul(t.li(t.p("a")), t.li(t.p("b"))), "<b>")))
+
+    it("fails when the content can't be converted", () => {
+      let d = t.doc(t.p("foo"), t.blockquote(t.horizontal_rule()))
+      let tr = new Transform(d)
+      ist.throws(() => tr.setNodeType(d.resolve(5).blockRange(d.resolve(d.content.size)), ts.nodes.bullet_list), RangeError)
+      ist.throws(() => tr.setNodeType(d.resolve(0).blockRange(d.resolve(5)), ts.nodes.blockquote), RangeError)
+      ist(tr.steps.length, 0)
+    })
+
+    it("rolls back earlier conversions when replacing a node fails", () => {
+      let d = t.doc(t.blockquote(t.p("a")), t.blockquote(t.p("b"), t.p("c")))
+      let tr = new Transform(d), maybeStep = tr.maybeStep
+      tr.maybeStep = function(step) {
+        return step instanceof ReplaceStep ? StepResult.fail("Blocked") : maybeStep.call(this, step)
+      }
+      ist.throws(() => tr.setNodeType(d.resolve(0).blockRange(d.resolve(d.content.size)), ts.nodes.bullet_list), RangeError)
+      ist(tr.steps.length, 0)
+      ist(tr.doc, d, eq)
+    })
+
+    it("fails when the type isn't allowed in the parent", () => {
+      let d = t.doc(t.ul(t.li(t.p("foo"))))
+      ist.throws(() => new Transform(d).setNodeType(d.resolve(1).blockRange(d.resolve(8)), ts.nodes.table_row), RangeError)
+    })
+  })
+
   describe("setNodeMarkup", () => {
     function markup(doc, expect, type, attrs) {
       testTransform(new Transform(doc).setNodeMarkup(doc.tag.a, schema.nodes[type], attrs), expect)
@@ -403,6 +772,172 @@ describe("Transform", () => {
               "image", {src: "bar", alt: "y"}))
   })
 
+  describe("setNodeAttribute", () => {
+    function attr(doc, expect, name, value) {
+      testTransform(new Transform(doc).setNodeAttribute(doc.tag.a, name, value), expect)
+    }
+
+    it("can change an attribute of a textblock", () =>
+       attr(doc("<a>", h1("foo")),
+            doc(h2("foo")),
+            "level", 2))
+
+    it("can change an attribute of an inline node", () =>
+       attr(doc(p("foo<a>", img, "bar")),
+            doc(p("foo", img({alt: "y"}), "bar")),
+            "alt", "y"))
+
+    it("can change an attribute of a nested node", () =>
+       attr(doc(blockquote("<a>", ol(li(p("one"))))),
+            doc(blockquote(ol({order: 3}, li(p("one"))))),
+            "order", 3))
+
+    it("doesn't move positions at the node's boundaries", () => {
+      let d = doc("<a>", h1("<x>foo<y>"), "<z>")
+      let tr = new Transform(d).setNodeAttribute(d.tag.a, "level", 3)
+      ist(tr.mapping.map(d.tag.a, -1), d.tag.a)
+      ist(tr.mapping.map(d.tag.x, -1), d.tag.x)
+      ist(tr.mapping.map(d.tag.y, 1), d.tag.y)
+      ist(tr.mapping.map(d.tag.z, -1), d.tag.z)
+    })
+
+    it("is dropped when its node is deleted", () => {
+      let d = doc(p("a"), "<a>", h1("foo"), p("b"))
+      let tr = new Transform(d).setNodeAttribute(d.tag.a, "level", 3)
+      let del = new Transform(d).delete(d.tag.a, d.tag.a + d.nodeAt(d.tag.a).nodeSize)
+      ist(tr.steps[0].map(del.mapping), null)
+    })
+
+    it("fails when there is no node at the position", () => {
+      let d = doc(p("foo"))
+      ist(new Transform(d).maybeStep(new AttrStep(d.content.size, "level", 2)).failed)
+    })
+  })
+
+  describe("updateNodesBetween", () => {
+    let isHeading = node => node.type.name == "heading"
+
+    it("updates all matching nodes", () =>
+       testTransform(new Transform(doc(h1("<a>one"), p("two"), h2("three<b>"))).updateNodesBetween(0, 17, isHeading, {level: 3}),
+                     doc(h3("<a>one"), p("two"), h3("three<b>"))))
+
+    it("only touches nodes in the range", () => {
+      let d = doc(h1("one"), h1("two"), "<a>", h1("three"))
+      testTransform(new Transform(d).updateNodesBetween(d.tag.a, d.content.size, isHeading, {level: 2}),
+                    doc(h1("one"), h1("two"), h2("three")))
+    })
+
+    it("can compute attributes per node", () => {
+      let tr = new Transform(doc(h1("a"), h1("b"), blockquote(h1("c"))))
+      let n = 0
+      tr.updateNodesBetween(0, tr.doc.content.size, isHeading, () => ({level: ++n}))
+      testTransform(tr, doc(h1("a"), h2("b"), blockquote(h3("c"))))
+    })
+
+    it("only adds steps for changed attributes", () => {
+      let tr = new Transform(doc(h1("a"), h2("b"))).updateNodesBetween(0, 6, isHeading, {level: 2})
+      ist(tr.steps.length, 1)
+      tr.updateNodesBetween(0, 6, isHeading, () => null)
+      ist(tr.steps.length, 1)
+    })
+
+    it("reaches inline nodes", () =>
+       testTransform(new Transform(doc(p("a", img, "b", img))).updateNodesBetween(0, 6, node => node.type.name == "image", {alt: "x"}),
+                     doc(p("a", img({alt: "x"}), "b", img({alt: "x"})))))
+
+    it("rejects unknown attributes", () =>
+       ist.throws(() => new Transform(doc(h1("a"))).updateNodesBetween(0, 3, isHeading, {foo: 1}), RangeError))
+  })
+
+  describe("clearIncompatible", () => {
+    let cs = new Schema({
+      nodes: schema.spec.nodes
+        .update("hard_break", Object.assign({}, schema.spec.nodes.get("hard_break"), {linebreakReplacement: true}))
+        .addToEnd("note", {content: "paragraph+", group: "block"})
+        .addToEnd("lists", {content: "bullet_list+", group: "block"})
+        .addToEnd("items", {content: "paragraph list_item*", group: "block"})
+        .addToEnd("pair", {content: "paragraph list_item", group: "block"}),
+      marks: schema.spec.marks
+    })
+    let c = builders(cs, {p: {nodeType: "paragraph"}, pre: {nodeType: "code_block"}, note: {nodeType: "note"},
+                          h1: {nodeType: "heading", level: 1}, br: {nodeType: "hard_break"},
+                          ul: {nodeType: "bullet_list"}, li: {nodeType: "list_item"}, hr: {nodeType: "horizontal_rule"}})
+
+    function clear(doc, type, expect, actions) {
+      let report = [], tr = new Transform(doc).clearIncompatible(0, cs.nodes[type], undefined, {convert: true, report})
+      ist(tr.doc.firstChild.content, expect.content, eq)
+      ist(report.map(r => r.action + "@" + r.pos).join(" "), actions)
+    }
+
+    it("still deletes content by default", () => {
+      let report = [], tr = new Transform(c.doc(c.p("a", c.br(), "b"))).clearIncompatible(0, cs.nodes.code_block, undefined, {report})
+      ist(tr.doc.firstChild.content, c.pre("ab").content, eq)
+      ist(report.map(r => r.action).join(), "delete")
+    })
+
+    it("converts line breaks to newlines", () =>
+       clear(c.doc(c.p("a", c.br(), c.em("b"))), "code_block", c.pre("a\nb"), "convert@2 removeMark@3"))
+
+    it("unwraps nodes whose content fits", () =>
+       clear(c.doc(c.blockquote(c.p("a"), c.blockquote(c.p("b")))), "note", c.note(c.p("a"), c.p("b")), "unwrap@4"))
+
+    it("converts textblocks to the default type", () =>
+       clear(c.doc(c.blockquote(c.h1("a"), c.p("b"))), "note", c.note(c.p("a"), c.p("b")), "convert@1"))
+
+    it("wraps nodes when necessary", () =>
+       clear(c.doc(c.blockquote(c.p("a"), c.ul(c.li(c.p("b"))))), "lists",
+             c.lists(c.ul(c.li(c.p("a"))), c.ul(c.li(c.p("b")))), "wrap@1"))
+
+    it("changes the node's type when its current type can't hold the conversion", () => {
+      let d = c.doc(c.blockquote(c.p("a"), c.p("b")))
+      let report = [], tr = new Transform(d).clearIncompatible(0, cs.nodes.bullet_list, undefined, {convert: true, report})
+      ist(tr.doc, c.doc(c.ul(c.li(c.p("a")), c.li(c.p("b")))), eq)
+      ist(report.map(r => r.action + "@" + r.pos).join(" "), "wrap@1 wrap@4")
+    })
+
+    it("keeps positions in unchanged children when changing the type", () => {
+      let d = c.doc(c.blockquote(c.p("a<a>"), c.p("b")), c.p("c<b>"))
+      let tr = new Transform(d).clearIncompatible(0, cs.nodes.items, undefined, {convert: true})
+      testTransform(tr, c.doc(c.items(c.p("a<a>"), c.li(c.p("b"))), c.p("c<b>")))
+    })
+
+    it("fills content after the type change", () => {
+      let d = c.doc(c.blockquote(c.p("a"), c.p("b")))
+      clear(d, "pair", c.pair(c.p("a"), c.li(c.p("b"))), "wrap@4")
+      let report = [], tr = new Transform(d).clearIncompatible(0, cs.nodes.pair, undefined, {report})
+      ist(tr.doc, c.doc(c.pair(c.p("a"), c.li(c.p()))), eq)
+      tr.doc.check()
+      ist(report.map(r => r.action + "@" + r.pos).join(" "), "delete@4 fill@7")
+    })
+
+    it("deletes as a last resort", () =>
+       clear(c.doc(c.blockquote(c.hr(), c.p("b"))), "note", c.note(c.p("b")), "delete@1"))
+
+    it("reports filled content", () =>
+       clear(c.doc(c.blockquote(c.hr())), "note", c.note(c.p()), "delete@1 fill@2"))
+  })
+
+  describe("setDocAttribute", () => {
+    let docSchema = new Schema({
+      nodes: schema.spec.nodes.update("doc", {content: "block+", attrs: {lang: {default: "en"}}}),
+      marks: schema.spec.marks
+    })
+    let b = builders(docSchema, {p: {nodeType: "paragraph"}})
+
+    it("can change an attribute of the document", () => {
+      let d = b.doc(b.p("foo"))
+      let tr = new Transform(d).setDocAttribute("lang", "nl")
+      testTransform(tr, b.doc({lang: "nl"}, b.p("foo")))
+    })
+
+    it("maps through other changes unchanged", () => {
+      let d = b.doc(b.p("foo"))
+      let step = new Transform(d).setDocAttribute("lang", "nl").steps[0]
+      let del = new Transform(d).delete(0, d.content.size)
+      ist(step.map(del.mapping), step)
+    })
+  })
+
   describe("replace", () => {
     function repl(doc, source, expect) {
       let slice = !source ? Slice.empty : source instanceof Slice ? source : source.slice(source.tag.a, source.tag.b)
@@ -837,4 +1372,168 @@ describe("Transform", () => {
        del(doc(p("one"), h1("<a>two"), blockquote(p("three<b>")), p("four")),
            doc(p("one"), h1(), p("four"))))
   })
+  describe("rollbackTo", () => {
+    it("drops steps after a savepoint", () => {
+      let d = doc(p("one<a>"), p("two<b>"))
+      let tr = new Transform(d)
+      tr.insert(d.tag.a, schema.text("!"))
+      let save = tr.savepoint(), afterFirst = tr.doc
+      tr.insert(tr.mapping.map(d.tag.b), schema.text("?")).delete(1, 2)
+      ist(tr.steps.length, 3)
+      tr.rollbackTo(save)
+      ist(tr.steps.length, 1)
+      ist(tr.docs.length, 1)
+      ist(tr.mapping.maps.length, 1)
+      ist(tr.doc, afterFirst, eq)
+      ist(tr.mapping.map(d.tag.b), d.tag.b + 1)
+    })
+
+    it("can continue after rolling back", () => {
+      let d = doc(p("foo"))
+      let tr = new Transform(d), save = tr.savepoint()
+      tr.delete(1, 2)
+      tr.rollbackTo(save).insert(1, schema.text("x"))
+      testTransform(tr, doc(p("xfoo")))
+    })
+
+    it("drops mirror information for removed maps", () => {
+      let d = doc(p("foo"))
+      let tr = new Transform(d).delete(1, 2)
+      tr.mapping.appendMap(tr.mapping.maps[0].invert(), 0)
+      tr.mapping.truncate(1)
+      ist(tr.mapping.getMirror(0), undefined)
+    })
+
+    it("rejects savepoints from the future", () => {
+      let tr = new Transform(doc(p("foo")))
+      ist.throws(() => tr.rollbackTo(1))
+    })
+
+    it("can pop the last step", () => {
+      let d = doc(p("foo"))
+      let tr = new Transform(d).delete(1, 2)
+      let step = tr.steps[0]
+      ist(tr.popStep(), step)
+      ist(tr.doc, d, eq)
+      ist(tr.docChanged, false)
+      ist(tr.popStep(), null)
+    })
+  })
+
+  describe("changedRanges", () => {
+    function changes(tr) {
+      return tr.changedRanges().map(c => `${c.fromA}-${c.toA}>${c.fromB}-${c.toB}`).join(" ")
+    }
+
+    it("reports nothing for an unchanged transform", () =>
+       ist(changes(new Transform(doc(p("foo")))), ""))
+
+    it("reports separate changes", () =>
+       ist(changes(new Transform(doc(p("abcdef"))).delete(2, 3).insert(4, schema.text("xy"))),
+           "2-3>2-2 5-5>4-6"))
+
+    it("merges overlapping changes", () =>
+       ist(changes(new Transform(doc(p("abcdef"))).insert(3, schema.text("xyz")).delete(4, 8)),
+           "3-5>3-4"))
+
+    it("merges adjacent changes", () =>
+       ist(changes(new Transform(doc(p("abcdef"))).delete(2, 3).delete(2, 3)),
+           "2-4>2-2"))
+
+    it("tracks positions through earlier changes", () =>
+       ist(changes(new Transform(doc(p("abcdef"))).insert(6, schema.text("x")).delete(1, 3)),
+           "1-3>1-1 6-6>4-5"))
+
+    it("includes mark changes", () =>
+       ist(changes(new Transform(doc(p("abcdef"))).addMark(2, 4, schema.mark("em")).insert(5, schema.text("x"))),
+           "2-4>2-4 5-5>5-6"))
+
+    it("merges mark changes with replacements", () =>
+       ist(changes(new Transform(doc(p("abcdef"))).addMark(2, 4, schema.mark("em")).delete(3, 6)),
+           "2-6>2-3"))
+
+    it("includes attribute changes", () =>
+       ist(changes(new Transform(doc(h1("foo"), p("bar"))).setNodeAttribute(0, "level", 2)),
+           "0-5>0-5"))
+  })
+
+  describe("bookmarks", () => {
+    it("maps bookmarks through added steps", () => {
+      let tr = new Transform(doc(p("abcd")))
+      let b = tr.bookmark(3)
+      tr.insert(1, schema.text("xy")).delete(6, 7)
+      ist(b.pos, 5)
+      ist(b.deleted, false)
+    })
+
+    it("respects assoc", () => {
+      let tr = new Transform(doc(p("abcd")))
+      let before = tr.bookmark(3, -1), after = tr.bookmark(3)
+      tr.insert(3, schema.text("x"))
+      ist(before.pos, 3)
+      ist(after.pos, 4)
+    })
+
+    it("reports deletion", () => {
+      let tr = new Transform(doc(p("abcd")))
+      let inside = tr.bookmark(3), edge = tr.bookmark(2, -1)
+      tr.delete(2, 4)
+      ist(inside.pos, 2)
+      ist(inside.deleted)
+      ist(edge.deleted, false)
+      tr.insert(1, schema.text("x"))
+      ist(inside.deleted)
+    })
+
+    it("stops mapping removed bookmarks", () => {
+      let tr = new Transform(doc(p("abcd")))
+      let b = tr.bookmark(3)
+      tr.removeBookmark(b).insert(1, schema.text("x"))
+      ist(b.pos, 3)
+    })
+
+    it("recomputes bookmarks on rollback", () => {
+      let tr = new Transform(doc(p("abcd")))
+      let b = tr.bookmark(3)
+      let save = tr.savepoint()
+      tr.delete(2, 4)
+      ist(b.deleted)
+      let late = tr.bookmark(2)
+      tr.rollbackTo(save)
+      ist(b.pos, 3)
+      ist(b.deleted, false)
+      ist(late.dropped)
+      ist(late.deleted, false)
+      tr.insert(1, schema.text("x"))
+      ist(b.pos, 4)
+      ist(late.pos, 2)
+    })
+
+    it("uses mirror information", () => {
+      let d = doc(p("abcd")), tr = new Transform(d)
+      let b = tr.bookmark(3)
+      let step = new Transform(d).delete(2, 4).steps[0]
+      tr.step(step).step(step.invert(d))
+      tr.mapping.setMirror(0, 1)
+      ist(b.pos, 3)
+      ist(b.deleted, false)
+      let save = tr.savepoint()
+      tr.insert(1, schema.text("x")).rollbackTo(save)
+      ist(b.pos, 3)
+    })
+
+    it("maps like the transform's mapping across a rebase", () => {
+      let d = doc(p("abcd")), local = new Transform(d).insert(3, schema.text("XYZ"))
+      let tr = new Transform(local.doc), b = tr.bookmark(4)
+      rebaseSteps(tr, [{step: local.steps[0], inverted: local.steps[0].invert(d)}], [new Transform(d).insert(1, schema.text("R")).steps[0]])
+      ist(tr.doc, doc(p("RabXYZcd")), eq)
+      ist(b.pos, tr.mapping.map(4))
+      ist(b.pos, 5)
+      ist(b.deleted, false)
+    })
+
+    it("rejects positions outside the document", () => {
+      ist.throws(() => new Transform(doc(p("abcd"))).bookmark(7), RangeError)
+    })
+  })
 })